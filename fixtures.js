@@ -0,0 +1,24 @@
+// Test fixtures shared by the test files
+
+// A source that counts the items read from it. `closed` is set, and the
+// `closing` promise resolved, when it is closed.
+export function counted(n) {
+  let close;
+  const source = {
+    pulled: 0,
+    closed: false,
+    closing: new Promise((resolve) => (close = resolve)),
+    async *[Symbol.asyncIterator]() {
+      try {
+        for (let i = 1; i <= n; i++) {
+          source.pulled++;
+          yield i;
+        }
+      } finally {
+        source.closed = true;
+        close();
+      }
+    },
+  };
+  return source;
+}
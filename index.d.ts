@@ -0,0 +1,338 @@
+// Type declarations for aspipes.
+//
+// The | operator evaluates to a number, so TypeScript cannot see the steps
+// of a |-expression. Steps still carry their input and output types, and
+// through() and flow() check that each step accepts what the previous one
+// produces.
+
+declare const types: unique symbol;
+declare const value: unique symbol;
+
+/** A pipeline step that turns `In` into `Out`. */
+export interface Step<In, Out> {
+  readonly [types]?: (input: In) => Out;
+  [Symbol.toPrimitive](): number;
+}
+
+/** The value a step receives. */
+export type StepInput<S> = S extends Step<infer In, any> ? In : never;
+
+/** The value a step produces, after awaiting. */
+export type StepOutput<S> = S extends Step<any, infer Out> ? Out : never;
+
+/**
+ * A function made pipeable by asPipe(): used bare it is a step, called with
+ * the remaining arguments it returns one.
+ */
+export type Pipeable<In, Args extends unknown[], Out> = Step<In, Out> &
+  ((...args: Args) => Step<In, Out>);
+
+export interface RunOptions {
+  /** Aborting stops the pipeline before its next step. */
+  signal?: AbortSignal;
+  /** Resolve to `{ value, trace }` instead of the value. */
+  trace?: boolean;
+}
+
+export interface TracedRunOptions extends RunOptions {
+  trace: true;
+}
+
+/** What steps and callbacks see of a run, as `this` or as an argument. */
+export interface RunContext {
+  readonly signal?: AbortSignal;
+}
+
+export interface TraceNode {
+  index: number;
+  name: string;
+  depth: number;
+  input: unknown;
+  output?: unknown;
+  error?: unknown;
+  duration: number;
+  children: TraceNode[];
+}
+
+export interface Traced<T> {
+  value: T;
+  trace: TraceNode[];
+}
+
+export interface StepEvent {
+  index: number;
+  name: string;
+  depth: number;
+  input: unknown;
+  output?: unknown;
+  error?: unknown;
+  duration?: number;
+}
+
+export interface AsPipesOptions {
+  onStepStart?: (event: StepEvent) => void;
+  onStepEnd?: (event: StepEvent) => void;
+  onError?: (event: StepEvent) => void;
+  /** Make run() and templates evaluate synchronously. */
+  sync?: boolean;
+}
+
+/** Raised by run() when a step fails. */
+export class PipeStepError extends Error {
+  constructor(cause: unknown, stepIndex: number, stepName: string);
+  cause: unknown;
+  stepIndex: number;
+  stepName: string;
+}
+
+/**
+ * The head of a pipeline, created by pipe(value). Steps added with
+ * through() are checked and set `Out`; steps piped into it with | are not
+ * visible to TypeScript, so name the result type as run<R>() then.
+ */
+export interface Pipeline<T, Out = T> extends Step<unknown, unknown> {
+  readonly [value]?: T;
+  run<R = Out>(options?: RunOptions & { trace?: false }): Promise<R>;
+  run<R = Out>(options: TracedRunOptions): Promise<Traced<R>>;
+  runSync<R = Out>(options?: RunOptions & { trace?: false }): R;
+  runSync<R = Out>(options: TracedRunOptions): Traced<R>;
+
+  /** Add steps without the | operator, each accepting what the previous one produces. */
+  through<A>(s1: Step<Out, A>): Pipeline<T, A>;
+  through<A, B>(s1: Step<Out, A>, s2: Step<A, B>): Pipeline<T, B>;
+  through<A, B, C>(s1: Step<Out, A>, s2: Step<A, B>, s3: Step<B, C>): Pipeline<T, C>;
+  through<A, B, C, D>(s1: Step<Out, A>, s2: Step<A, B>, s3: Step<B, C>, s4: Step<C, D>): Pipeline<T, D>;
+  through<A, B, C, D, E>(
+    s1: Step<Out, A>,
+    s2: Step<A, B>,
+    s3: Step<B, C>,
+    s4: Step<C, D>,
+    s5: Step<D, E>,
+  ): Pipeline<T, E>;
+  through<A, B, C, D, E, F>(
+    s1: Step<Out, A>,
+    s2: Step<A, B>,
+    s3: Step<B, C>,
+    s4: Step<C, D>,
+    s5: Step<D, E>,
+    s6: Step<E, F>,
+  ): Pipeline<T, F>;
+  through<A, B, C, D, E, F, G>(
+    s1: Step<Out, A>,
+    s2: Step<A, B>,
+    s3: Step<B, C>,
+    s4: Step<C, D>,
+    s5: Step<D, E>,
+    s6: Step<E, F>,
+    s7: Step<F, G>,
+  ): Pipeline<T, G>;
+  through<A, B, C, D, E, F, G, H>(
+    s1: Step<Out, A>,
+    s2: Step<A, B>,
+    s3: Step<B, C>,
+    s4: Step<C, D>,
+    s5: Step<D, E>,
+    s6: Step<E, F>,
+    s7: Step<F, G>,
+    s8: Step<G, H>,
+  ): Pipeline<T, H>;
+  /** Longer lists are not checked: call through() again to keep the types. */
+  through(
+    s1: Step<Out, any>,
+    s2: AnyStep,
+    s3: AnyStep,
+    s4: AnyStep,
+    s5: AnyStep,
+    s6: AnyStep,
+    s7: AnyStep,
+    s8: AnyStep,
+    s9: AnyStep,
+    ...rest: AnyStep[]
+  ): Pipeline<T, unknown>;
+}
+
+/**
+ * A reusable pipeline: call it with an input to run its steps, or use it as
+ * a single step in other pipelines.
+ */
+export interface Template<In, Out> extends Step<In, Out> {
+  (input: In, options?: RunOptions & { trace?: false }): Promise<Out>;
+  (input: In, options: TracedRunOptions): Promise<Traced<Out>>;
+  runSync(input: In, options?: RunOptions & { trace?: false }): Out;
+  runSync(input: In, options: TracedRunOptions): Traced<Out>;
+}
+
+/** Any step: a pipeable, a step token, a template or a pipeline. */
+export type AnyStep = Step<any, any>;
+
+/** The pipeables asPipe() makes of the functions of an object. */
+export type PipeableObject<T> = {
+  [K in keyof T]: T[K] extends (input: infer In, ...args: infer Args) => infer R
+    ? Pipeable<In, Args, Awaited<R>>
+    : T[K];
+};
+
+/** The pipeables asMethods() makes of the methods of a prototype. */
+export type PipeableMethods<T> = {
+  [K in keyof T]: T[K] extends (...args: infer Args) => infer R
+    ? Pipeable<T, Args, Awaited<R>>
+    : T[K];
+};
+
+type BranchInput<B> = B extends readonly (infer S)[] ? StepInput<S> : StepInput<B[keyof B]>;
+type Outputs<B> = { -readonly [K in keyof B]: StepOutput<B[K]> };
+type Settled<B> = { -readonly [K in keyof B]: PromiseSettledResult<StepOutput<B[K]>> };
+
+export interface FanOutOptions {
+  /** How many branches run at the same time. */
+  concurrency?: number;
+}
+
+export interface RetryOptions {
+  times?: number;
+  backoff?: number | ((attempt: number, error: unknown) => number);
+}
+
+export interface AsPipes {
+  /** Start a |-expression with a value. */
+  pipe<T>(value: T): Pipeline<T>;
+
+  /** Make a function pipeable. The piped value is its first argument. */
+  asPipe<In, Args extends unknown[], R>(
+    fn: (this: RunContext, input: In, ...args: Args) => R,
+    options?: { context?: false },
+  ): Pipeable<In, Args, Awaited<R>>;
+  /** With `context: true`, the run context is the argument after the piped value. */
+  asPipe<In, Args extends unknown[], R>(
+    fn: (this: RunContext, input: In, context: RunContext, ...args: Args) => R,
+    options: { context: true },
+  ): Pipeable<In, Args, Awaited<R>>;
+  /** Make every function of an object pipeable. */
+  asPipe<T extends object>(object: T): PipeableObject<T>;
+
+  /** The pipeline a |-expression built, as its head token. */
+  take<T = unknown>(expression: number | Pipeline<T>): Pipeline<T>;
+
+  /** Pipeables for the methods of a prototype or class, called on the piped value. */
+  asMethods<C extends abstract new (...args: any) => any>(
+    constructor: C,
+  ): PipeableMethods<InstanceType<C>>;
+  asMethods<T extends object>(prototype: T): PipeableMethods<T>;
+
+  /** A step calling the named method of the piped value. */
+  call<K extends PropertyKey, Args extends unknown[]>(
+    method: K,
+    ...args: Args
+  ): Step<{ [P in K]: (...args: Args) => any }, any>;
+
+  /** A template whose steps come from the first |-expression it heads. */
+  define<In = any, Out = unknown>(name?: string): Template<In, Out>;
+
+  /** Another name for compose(). */
+  flow: AsPipes['compose'];
+  /** A template from a list of steps, each accepting what the previous one produces. */
+  compose<A, B>(s1: Step<A, B>): Template<A, B>;
+  compose<A, B, C>(s1: Step<A, B>, s2: Step<B, C>): Template<A, C>;
+  compose<A, B, C, D>(s1: Step<A, B>, s2: Step<B, C>, s3: Step<C, D>): Template<A, D>;
+  compose<A, B, C, D, E>(
+    s1: Step<A, B>,
+    s2: Step<B, C>,
+    s3: Step<C, D>,
+    s4: Step<D, E>,
+  ): Template<A, E>;
+  compose<A, B, C, D, E, F>(
+    s1: Step<A, B>,
+    s2: Step<B, C>,
+    s3: Step<C, D>,
+    s4: Step<D, E>,
+    s5: Step<E, F>,
+  ): Template<A, F>;
+  compose<A, B, C, D, E, F, G>(
+    s1: Step<A, B>,
+    s2: Step<B, C>,
+    s3: Step<C, D>,
+    s4: Step<D, E>,
+    s5: Step<E, F>,
+    s6: Step<F, G>,
+  ): Template<A, G>;
+  compose<A, B, C, D, E, F, G, H>(
+    s1: Step<A, B>,
+    s2: Step<B, C>,
+    s3: Step<C, D>,
+    s4: Step<D, E>,
+    s5: Step<E, F>,
+    s6: Step<F, G>,
+    s7: Step<G, H>,
+  ): Template<A, H>;
+  compose<A, B, C, D, E, F, G, H, I>(
+    s1: Step<A, B>,
+    s2: Step<B, C>,
+    s3: Step<C, D>,
+    s4: Step<D, E>,
+    s5: Step<E, F>,
+    s6: Step<F, G>,
+    s7: Step<G, H>,
+    s8: Step<H, I>,
+  ): Template<A, I>;
+  /** Longer lists are not checked: nest compose() to keep the types. */
+  compose<A>(
+    s1: Step<A, any>,
+    s2: AnyStep,
+    s3: AnyStep,
+    s4: AnyStep,
+    s5: AnyStep,
+    s6: AnyStep,
+    s7: AnyStep,
+    s8: AnyStep,
+    s9: AnyStep,
+    ...rest: AnyStep[]
+  ): Template<A, unknown>;
+
+  /** Handle a failure of the preceding steps with handler(error, input). */
+  catchError<R>(
+    handler: (this: RunContext, error: unknown, input: any, context: RunContext) => R,
+  ): Step<any, any>;
+  /** Run the preceding steps again when they fail. */
+  retry(options?: RetryOptions): Step<any, any>;
+  /** Run fn after the preceding steps, whether they succeed or fail. */
+  finally(fn: (this: RunContext, context: RunContext) => unknown): Step<any, any>;
+
+  /** Run the branches on the same value and resolve with all their results. */
+  all<B extends readonly AnyStep[]>(...branches: [...B]): Step<BranchInput<B>, Outputs<B>>;
+  all<B extends readonly AnyStep[]>(...branches: [...B, FanOutOptions]): Step<BranchInput<B>, Outputs<B>>;
+  all<B extends Record<string, AnyStep>>(branches: B, options?: FanOutOptions): Step<BranchInput<B>, Outputs<B>>;
+  /** Run the branches on the same value and settle with the first to settle. */
+  race<B extends readonly AnyStep[]>(...branches: [...B]): Step<BranchInput<B>, StepOutput<B[number]>>;
+  race<B extends readonly AnyStep[]>(
+    ...branches: [...B, FanOutOptions]
+  ): Step<BranchInput<B>, StepOutput<B[number]>>;
+  race<B extends Record<string, AnyStep>>(
+    branches: B,
+    options?: FanOutOptions,
+  ): Step<BranchInput<B>, StepOutput<B[keyof B]>>;
+  /** Run the branches on the same value and resolve with every outcome. */
+  allSettled<B extends readonly AnyStep[]>(...branches: [...B]): Step<BranchInput<B>, Settled<B>>;
+  allSettled<B extends readonly AnyStep[]>(...branches: [...B, FanOutOptions]): Step<BranchInput<B>, Settled<B>>;
+  allSettled<B extends Record<string, AnyStep>>(
+    branches: B,
+    options?: FanOutOptions,
+  ): Step<BranchInput<B>, Settled<B>>;
+
+  /** Run the branch when predicate(value) is truthy, else pass the value on. */
+  when<T, R>(
+    predicate: (this: RunContext, value: T, context: RunContext) => unknown,
+    branch: Step<T, R>,
+  ): Step<T, T | R>;
+  /** Run the branch when predicate(value) is falsy, else pass the value on. */
+  unless<T, R>(
+    predicate: (this: RunContext, value: T, context: RunContext) => unknown,
+    branch: Step<T, R>,
+  ): Step<T, T | R>;
+  /** Run the branch stored under selector(value), or `default`, else pass the value on. */
+  match<T, C extends Record<string, Step<T, any>>>(
+    selector: (this: RunContext, value: T, context: RunContext) => unknown,
+    cases: C,
+  ): Step<T, T | StepOutput<C[keyof C]>>;
+}
+
+export function createAsPipes(options?: AsPipesOptions): AsPipes;
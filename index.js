@@ -1,15 +1,342 @@
-export function createAsPipes() {
+// Error raised by run() when a step fails. It keeps the original message and
+// exposes the original error as `cause`, plus where in the pipeline it failed.
+export class PipeStepError extends Error {
+  constructor(cause, stepIndex, stepName) {
+    super(cause?.message ?? String(cause), { cause });
+    this.name = 'PipeStepError';
+    this.stepIndex = stepIndex;
+    this.stepName = stepName;
+  }
+}
+
+// Resolve after ms, or reject with the abort reason if the signal fires first
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => (clearTimeout(timer), reject(signal.reason));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+const isThenable = (x) => typeof x?.then === 'function';
+
+const isPrototype = (obj) =>
+  Object.hasOwn(obj, 'constructor') && obj.constructor?.prototype === obj;
+
+// Pipelines are evaluated by generators that yield whatever they need to
+// wait for. The async driver awaits each yielded value; the sync driver hands
+// it straight back and refuses thenables, so one implementation serves both
+// run() and runSync().
+const driveAsync = async (gen) => {
+  let r = gen.next();
+  while (!r.done) {
+    let value;
+    try {
+      value = await r.value;
+    } catch (error) {
+      r = gen.throw(error);
+      continue;
+    }
+    r = gen.next(value);
+  }
+  return r.value;
+};
+
+const driveSync = (gen) => {
+  let r = gen.next();
+  while (!r.done) {
+    if (isThenable(r.value)) {
+      Promise.resolve(r.value).catch(() => {});
+      r = gen.throw(new TypeError('Step returned a thenable in a synchronous run'));
+    } else {
+      r = gen.next(r.value);
+    }
+  }
+  return r.value;
+};
+
+const outcome = (run) => {
+  try {
+    return { status: 'fulfilled', value: run() };
+  } catch (reason) {
+    return { status: 'rejected', reason };
+  }
+};
+
+// Start tasks with at most `concurrency` in flight and collect their
+// outcomes like Promise.allSettled. As soon as `decide(outcome)` is true the
+// result is settled by that outcome instead and no further tasks start.
+const fanOut = (tasks, concurrency, decide) =>
+  new Promise((resolve, reject) => {
+    const outcomes = [];
+    let started = 0;
+    let settled = 0;
+    let done = false;
+
+    const settle = (i, o) => {
+      if (done) return;
+      outcomes[i] = o;
+      settled++;
+      if (decide(o)) {
+        done = true;
+        return o.status === 'fulfilled' ? resolve(o.value) : reject(o.reason);
+      }
+      launch();
+    };
+
+    const launch = () => {
+      if (settled === tasks.length) return (done = true), resolve(outcomes);
+      while (started < tasks.length && started - settled < concurrency) {
+        const i = started++;
+        Promise.resolve()
+          .then(tasks[i])
+          .then(
+            (value) => settle(i, { status: 'fulfilled', value }),
+            (reason) => settle(i, { status: 'rejected', reason }),
+          );
+      }
+    };
+
+    launch();
+  });
+
+// The same contract for synchronous runs: tasks run one after another
+const fanOutSync = (tasks, decide) => {
+  const outcomes = [];
+  for (const task of tasks) {
+    const o = outcome(task);
+    outcomes.push(o);
+    if (decide(o)) {
+      if (o.status === 'rejected') throw o.reason;
+      return o.value;
+    }
+  }
+  return outcomes;
+};
+
+export function createAsPipes({ onStepStart, onStepEnd, onError, sync: syncOnly = false } = {}) {
+  // Contexts of the |-expressions currently being composed. A head (pipe()
+  // token or template) opens its context, and everything opened is closed
+  // again before the next microtask, so a pipeable evaluated after an
+  // `await` can never attach itself to an unrelated pipeline.
   const stack = [];
+  let opened = 0; // how many times a context was opened
+  let closing = false;
+  // Operands are coerced left to right, so a step belongs to the context the
+  // operand before it went to (`last`). `pending` is the head coerced last,
+  // until the next coercion: in `head | x`, x is a step of that head.
+  let last = null;
+  let pending = null;
+  const contexts = new WeakMap(); // pipeline token -> its context
+  const pipeables = new WeakMap(); // pipeable -> the step it registers
+
+  // A head coerces to its context's id, so a whole |-expression evaluates to
+  // that id and take() or a nested step can find exactly the pipeline it
+  // built.
+  let lastId = 0x40000000;
+  const expressions = new Map(); // id -> WeakRef to the context
+  const forget = new FinalizationRegistry((id) => expressions.delete(id));
+
+  const context = (v) => {
+    lastId = lastId >= 0x7fffffff ? 0x40000001 : lastId + 1;
+    const ctx = { id: lastId, v, steps: [], size: 0, token: null };
+    expressions.set(ctx.id, new WeakRef(ctx));
+    forget.register(ctx, ctx.id);
+    return ctx;
+  };
+
+  const lookup = (id) =>
+    typeof id === 'number' ? expressions.get(id)?.deref() : undefined;
+
+  const open = (ctx) => {
+    if (!closing) {
+      closing = true;
+      queueMicrotask(() => {
+        closing = false;
+        stack.forEach((ctx) => ctx.seal?.());
+        stack.length = 0;
+        last = pending = null;
+      });
+    }
+    stack.push(ctx);
+    ctx.openedAt = ++opened;
+    ctx.outer = last;
+    last = pending = ctx;
+    return ctx.id;
+  };
 
-  const asPipe = (fnOrObj) => {
+  // A context whose expression was consumed as a value (by take(), as a
+  // step argument or as a step result) hands the following steps back to
+  // the expression it was built in
+  const close = (ctx) => {
+    const i = stack.lastIndexOf(ctx);
+    if (i !== -1) stack.splice(i, 1);
+    if (last === ctx) last = ctx.outer;
+    return ctx;
+  };
+
+  // The context a pipeable being coerced right now belongs to
+  const current = () => {
+    if (last) return last;
+    throw new Error(
+      'Pipeable used outside of a pipe expression: start the expression ' +
+        'with pipe() or a template and do not await in the middle of it',
+    );
+  };
+
+  // Arguments of a step call that are expressions are values of that call,
+  // so their pipelines are complete
+  const closeArgs = (args) =>
+    args.forEach((arg) => {
+      const ctx = lookup(arg) ?? contexts.get(arg);
+      if (ctx) close(ctx);
+    });
+
+  // Errors are wrapped once, by the innermost pipeline they fail in. Abort
+  // reasons pass through untouched so callers can still tell them apart.
+  const stepError = (error, s, rc) =>
+    error instanceof PipeStepError ||
+    (rc.signal?.aborted && error === rc.signal.reason)
+      ? error
+      : new PipeStepError(error, s.index, s.name);
+
+  // Run a single step, reporting it to the hooks and, when tracing, adding a
+  // node to the trace tree. Anything the step runs itself is one level deeper.
+  function* runStep(s, v, rc) {
+    rc.signal?.throwIfAborted();
+    const event = { index: s.index, name: s.name, depth: rc.depth, input: v };
+    if (rc.trace) rc.trace.push(Object.assign(event, { children: [] }));
+    onStepStart?.(event);
+
+    const start = performance.now();
+    let output;
+    try {
+      output = yield* s.run(v, { ...rc, depth: rc.depth + 1, trace: event.children });
+    } catch (error) {
+      event.error = stepError(error, s, rc);
+      event.duration = performance.now() - start;
+      onError?.(event);
+      throw event.error;
+    }
+    event.output = output;
+    event.duration = performance.now() - start;
+    onStepEnd?.(event);
+    return output;
+  }
+
+  // Run the steps of a pipeline context in order. The step list is copied
+  // up front, so steps composed while a run is in flight are never observed.
+  // The signal is checked before every step so an aborted run stops
+  // scheduling new work.
+  function* runSteps(ctx, rc) {
+    const steps = [...ctx.steps];
+    rc.signal?.throwIfAborted();
+    let v = yield ctx.v;
+    for (const s of steps) v = yield* runStep(s, v, rc);
+    return v;
+  }
+
+  // Templates take their input from the step they run in, pipelines bring
+  // their own initial value
+  const runContext = (ctx, v, rc) =>
+    runSteps(ctx.template ? { v, steps: ctx.steps } : ctx, rc);
+
+  const drive = (gen, sync) => (sync ? driveSync(gen) : driveAsync(gen));
+
+  // Evaluate a context from the top. With trace: true, the result is
+  // { value, trace } where trace is the tree of executed steps.
+  const start = (ctx, { signal, trace = false, sync = syncOnly } = {}) => {
+    const nodes = trace ? [] : undefined;
+    const rc = { signal, sync, depth: 0, trace: nodes };
+    if (sync) {
+      const value = driveSync(runSteps(ctx, rc));
+      return trace ? { value, trace: nodes } : value;
+    }
+    const result = driveAsync(runSteps(ctx, rc));
+    return trace ? result.then((value) => ({ value, trace: nodes })) : result;
+  };
+
+  // What steps and callbacks see of a run: a read-only { signal }. The run
+  // context itself stays internal.
+  const exposed = (rc) => Object.freeze({ signal: rc.signal });
+
+  // Turn fn (with bound args) into a step. The exposed context is passed as
+  // `this`, and with `context` also as the argument after the piped value,
+  // so arrow functions can reach the signal too.
+  // A numeric result is only taken for an expression when one was opened
+  // while fn ran, so ordinary numbers are never mistaken for pipelines.
+  const step = (fn, args, context = false) =>
+    function* (v, rc) {
+      const since = opened;
+      const self = exposed(rc);
+      const result = yield context ? fn.call(self, v, self, ...args) : fn.call(self, v, ...args);
+      const built = lookup(result);
+      if (built?.openedAt > since) return yield* runContext(close(built), v, rc);
+      if (contexts.has(result)) return yield* runSteps(contexts.get(result), rc);
+      if (result && typeof result.run === 'function') {
+        const options = { signal: rc.signal };
+        return yield rc.sync && typeof result.runSync === 'function'
+          ? result.runSync(options)
+          : result.run(options);
+      }
+      return result;
+    };
+
+  // A wrapper step (catchError, retry, finally) takes the steps appended so
+  // far and becomes the single step that runs them
+  const append = (ctx, { run, wrap, name }) => {
+    if (wrap) run = wrap(ctx.steps.splice(0));
+    ctx.steps.push({ run, name, index: ctx.size++ });
+  };
+
+  // Register a step on the pipeline currently being built by a |-expression
+  const push = (s) => {
+    const ctx = current();
+    pending = null;
+    s.use?.(ctx);
+    append(ctx, s);
+    return 0;
+  };
+
+  // A function object that registers `run` as a step when coerced by |
+  const stepToken = (run, name) => {
+    const t = function () {};
+    pipeables.set(t, { run, name: name || 'anonymous' });
+    t[Symbol.toPrimitive] = () => push(pipeables.get(t));
+    return t;
+  };
+
+  // The step for a pipeable passed as an argument: an asPipe function or
+  // call, a template, a pipeline (token or expression) or a plain function.
+  // Inline expressions are closed so the enclosing expression continues.
+  const toStep = (p) => {
+    if (pipeables.has(p)) {
+      const s = pipeables.get(p);
+      s.use?.();
+      return s;
+    }
+    const ctx = lookup(p) ?? contexts.get(p);
+    if (ctx) {
+      close(ctx);
+      return { run: (v, rc) => runContext(ctx, v, rc), name: 'pipeline' };
+    }
+    if (typeof p === 'function') return { run: step(p, []), name: p.name || 'anonymous' };
+    throw new TypeError(`Expected a pipeable, got ${p === null ? 'null' : typeof p}`);
+  };
+
+  const asPipe = (fnOrObj, { context = false } = {}) => {
     // If it's an object, return a proxy that makes all methods pipeable
     if (typeof fnOrObj === 'object' && fnOrObj !== null && typeof fnOrObj !== 'function') {
+      // Prototype methods need the piped value as 'this'
+      if (isPrototype(fnOrObj)) return asMethods(fnOrObj);
       return new Proxy({}, {
         get(_, prop) {
           if (typeof fnOrObj[prop] === 'function') {
-            // Don't bind prototype methods - they need the actual value as 'this'
+            // Plain objects like Math hold standalone functions - don't bind them
             if (fnOrObj.constructor === Object || 
-                fnOrObj === Array.prototype ||
                 fnOrObj.constructor === Function) {
               return asPipe(fnOrObj[prop]);
             }
@@ -22,68 +349,286 @@ export function createAsPipes() {
 
     // Original function behavior
     const fn = fnOrObj;
-    return new Proxy(function () {}, {
+    const proxy = new Proxy(function () {}, {
       get(_, prop) {
-        if (prop === Symbol.toPrimitive)
-          return () => (
-            stack.at(-1).steps.push(async (v) => {
-              const before = stack.length;
-              const result = await Promise.resolve(fn(v));
-              if (result === 0 && stack.length > before) {
-                const ctx = stack.pop();
-                return await ctx.steps.reduce(
-                  (p, f) => p.then(f),
-                  Promise.resolve(ctx.v),
-                );
-              }
-              if (result && typeof result.run === 'function')
-                return await result.run();
-              return result;
-            }),
-            0
-          );
+        if (prop === Symbol.toPrimitive) return () => push(pipeables.get(proxy));
       },
       apply(_, __, args) {
-        const t = function () {};
-        t[Symbol.toPrimitive] = () => (
-          stack.at(-1).steps.push(async (v) => {
-            const before = stack.length;
-            const result = await Promise.resolve(fn(v, ...args));
-            if (result === 0 && stack.length > before) {
-              const ctx = stack.pop();
-              return await ctx.steps.reduce(
-                (p, f) => p.then(f),
-                Promise.resolve(ctx.v),
-              );
-            }
-            if (result && typeof result.run === 'function')
-              return await result.run();
-            return result;
-          }),
-          0
-        );
-        return t;
+        closeArgs(args);
+        return stepToken(step(fn, args, context), fn.name);
       },
     });
+    pipeables.set(proxy, { run: step(fn, [], context), name: fn.name || 'anonymous' });
+    return proxy;
+  };
+
+  // Pipeable versions of the methods of a prototype, class or instance. Each
+  // one calls the method with the piped value as 'this':
+  // const { split } = asMethods(String.prototype); pipe('a,b') | split(',')
+  const asMethods = (source) => {
+    const methods = typeof source === 'function' ? source.prototype : source;
+    return new Proxy({}, {
+      get(_, prop) {
+        const method = methods[prop];
+        if (typeof method !== 'function') return method;
+        const call = (v, ...args) => method.apply(v, args);
+        Object.defineProperty(call, 'name', { value: String(prop) });
+        return asPipe(call);
+      },
+    });
+  };
+
+  // Call a method of the piped value by name: pipe('a,b') | call('split', ',')
+  const call = (method, ...args) =>
+    stepToken(
+      step((v) => {
+        if (typeof v?.[method] !== 'function')
+          throw new TypeError(`${String(method)} is not a method of the piped value`);
+        return v[method](...args);
+      }, []),
+      String(method),
+    );
+
+  // Pipeable that collapses every step before it into a single wrapped step
+  const wrapper = (name, wrap) => (...args) => {
+    const t = function () {};
+    pipeables.set(t, { wrap: (steps) => wrap(steps, ...args), name });
+    t[Symbol.toPrimitive] = () => push(pipeables.get(t));
+    return t;
+  };
+
+  // Recover from a failure in the preceding steps with
+  // handler(error, input, context)
+  const catchError = wrapper('catchError', (steps, handler) => function* (v, rc) {
+    try {
+      return yield* runSteps({ v, steps }, rc);
+    } catch (error) {
+      if (rc.signal?.aborted) throw error;
+      return yield* step(function (e, input) {
+        return handler.call(this, e, input, this);
+      }, [v])(error, rc);
+    }
+  });
+
+  // Re-run the preceding steps up to `times` more times. backoff is a delay in
+  // ms or a function (attempt, error) => ms.
+  const retry = wrapper('retry', (steps, { times = 3, backoff = 0 } = {}) => function* (v, rc) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return yield* runSteps({ v, steps }, rc);
+      } catch (error) {
+        if (attempt > times || rc.signal?.aborted) throw error;
+        const ms = typeof backoff === 'function' ? backoff(attempt, error) : backoff;
+        if (ms > 0 && rc.sync)
+          throw new TypeError('retry cannot back off in a synchronous run');
+        if (ms > 0) yield sleep(ms, rc.signal);
+      }
+    }
+  });
+
+  // Run fn(context) once the preceding steps settle, passing their result
+  // through
+  const finallyStep = wrapper('finally', (steps, fn) => function* (v, rc) {
+    try {
+      return yield* runSteps({ v, steps }, rc);
+    } finally {
+      const self = exposed(rc);
+      yield fn.call(self, self);
+    }
+  });
+
+  // Fan-out steps feed the current value into every branch concurrently.
+  // Branches are given positionally or as an object of named branches, with
+  // an optional trailing { concurrency } limit. Losing or unneeded branches
+  // are cancelled through the run signal once the result is known.
+  const isOptions = (x) => typeof x === 'object' && x !== null && !contexts.has(x);
+
+  // The step for a branch, which has no steps before it for a wrapper to take
+  const toBranch = (p) => {
+    const s = toStep(p);
+    if (s.wrap)
+      throw new TypeError(`${s.name} wraps the steps before it and cannot be a branch on its own`);
+    return s;
+  };
+
+  const fanOutStep = (name, decide, shape) => (...args) => {
+    const keyed = isOptions(args[0]);
+    const { concurrency = Infinity } = (keyed ? args[1] : isOptions(args.at(-1)) && args.pop()) || {};
+    const keys = keyed ? Object.keys(args[0]) : null;
+    const branches = (keyed ? Object.values(args[0]) : args).map(toBranch);
+
+    const run = function* (v, rc) {
+      const controller = new AbortController();
+      const abort = () => controller.abort(rc.signal.reason);
+      rc.signal?.addEventListener('abort', abort, { once: true });
+      const branchRc = { ...rc, signal: controller.signal };
+      const tasks = branches.map((b, i) => () =>
+        drive(runStep({ ...b, index: i }, v, branchRc), rc.sync),
+      );
+      try {
+        const result = rc.sync
+          ? fanOutSync(tasks, decide)
+          : yield fanOut(tasks, concurrency, decide);
+        if (!shape) return result;
+        const shaped = shape(result);
+        return keyed ? Object.fromEntries(keys.map((k, i) => [k, shaped[i]])) : shaped;
+      } finally {
+        rc.signal?.removeEventListener('abort', abort);
+        controller.abort();
+      }
+    };
+    return stepToken(run, name);
+  };
+
+  // Resolve with every branch result, failing as soon as one branch fails
+  const all = fanOutStep(
+    'all',
+    (o) => o.status === 'rejected',
+    (outcomes) => outcomes.map((o) => o.value),
+  );
+
+  // Settle with whichever branch settles first
+  const race = fanOutStep('race', () => true);
+
+  // Resolve with a { status, value | reason } outcome for every branch
+  const allSettled = fanOutStep('allSettled', () => false, (outcomes) => outcomes);
+
+  // Conditional steps route the current value through a branch, or pass it
+  // through untouched when no branch applies
+  const routeStep = (name, choose, branches) =>
+    stepToken(function* (v, rc) {
+      const i = yield* choose(v, rc);
+      return i === -1 ? v : yield* runStep({ ...branches[i], index: i }, v, rc);
+    }, name);
+
+  // Conditions are called as predicate(value, context)
+  const check = (fn, v, rc) => {
+    const self = exposed(rc);
+    return fn.call(self, v, self);
+  };
+
+  // Run the branch when predicate(value) is truthy
+  const when = (predicate, branch) =>
+    routeStep('when', function* (v, rc) {
+      return (yield check(predicate, v, rc)) ? 0 : -1;
+    }, [toBranch(branch)]);
+
+  // Run the branch when predicate(value) is falsy
+  const unless = (predicate, branch) =>
+    routeStep('unless', function* (v, rc) {
+      return (yield check(predicate, v, rc)) ? -1 : 0;
+    }, [toBranch(branch)]);
+
+  // Run the branch stored under selector(value), falling back to `default`
+  const match = (selector, cases) => {
+    const keys = Object.keys(cases);
+    return routeStep('match', function* (v, rc) {
+      const key = String(yield check(selector, v, rc));
+      return Object.hasOwn(cases, key) ? keys.indexOf(key) : keys.indexOf('default');
+    }, Object.values(cases).map(toBranch));
   };
 
   const pipe = (x) => {
-    const ctx = { v: x, steps: [], token: null };
+    const ctx = context(x);
     const token = {
-      [Symbol.toPrimitive]: () => (stack.push(ctx), 0),
-      async run() {
-        return ctx.steps.reduce((p, f) => p.then(f), Promise.resolve(ctx.v));
+      [Symbol.toPrimitive]: () => open(ctx),
+      run(options) {
+        return start(ctx, options);
+      },
+      // Evaluate without microtask hops; throws if a step returns a thenable
+      runSync(options) {
+        return start(ctx, { ...options, sync: true });
+      },
+      // Add steps without the | operator: the same steps, in the same order
+      through(...steps) {
+        steps.forEach((s) => append(ctx, toStep(s)));
+        return token;
       },
     };
+    contexts.set(token, ctx);
     ctx.token = token;
     return token;
   };
 
+  // A template runs the steps of ctx on whatever it is called with, as
+  // template(input, options), any number of times. While `composing`, the
+  // |-expressions it heads add to those steps, across statements like a
+  // pipe() token. Calling it, using it as a step or the end of the
+  // expression (the next microtask) completes it; after that it acts as a
+  // single step.
+  const templateOf = (ctx, name, composing) => {
+    const label = name ? `template '${name}'` : 'a template';
+    ctx.seal = () => (composing = false);
+    const template = new Proxy(function () {}, {
+      get(_, prop) {
+        if (prop === 'runSync')
+          return (v, options) => (ctx.seal(), start({ v, steps: ctx.steps }, { ...options, sync: true }));
+        if (prop === Symbol.toPrimitive)
+          return () => {
+            // Right after a head, or after a step of another expression,
+            // it is a step. While composing it heads a new expression when
+            // it has no steps yet or the operand before went to itself.
+            const heads = !last || last === ctx || !ctx.steps.length;
+            if (composing && !pending && heads) return open(ctx);
+            return push(pipeables.get(template));
+          };
+      },
+      apply: (_, __, [v, options]) => (ctx.seal(), start({ v, steps: ctx.steps }, options)),
+    });
+    pipeables.set(template, {
+      run: (v, rc) => runContext(ctx, v, rc),
+      name: name || 'anonymous',
+      // Checked whenever the template becomes a step of `target`
+      use(target) {
+        if (target === ctx) throw new TypeError(`Cannot use ${label} as a step of itself`);
+        if (composing && !ctx.steps.length)
+          throw new TypeError(
+            `Cannot use ${label} as a step before it is composed: ` +
+              'give it its steps with its own |-expression first',
+          );
+        composing = false;
+      },
+    });
+    ctx.token = template;
+    return template;
+  };
+
+  // Pipeline template without an initial value, composed by the
+  // |-expressions it heads
+  const define = (name) =>
+    templateOf(Object.assign(context(), { template: true }), name, true);
+
+  // Template from a list of steps, composed without a |-expression. flow
+  // is another name for it.
+  const compose = (...steps) => {
+    const ctx = Object.assign(context(), { template: true });
+    steps.forEach((s) => append(ctx, toStep(s)));
+    return templateOf(ctx, 'compose', false);
+  };
+
   // fångar den pipeline som just byggdes av ett |-uttryck
   const take = (_ignored) => {
-    const ctx = stack.pop();
-    return ctx?.token ?? _ignored; // om inget på stacken, returnera originalet
+    const ctx = lookup(_ignored);
+    return ctx ? close(ctx).token : _ignored; // annars, returnera originalet
   };
 
-  return { pipe, asPipe, take };
+  return {
+    pipe,
+    asPipe,
+    take,
+    asMethods,
+    call,
+    define,
+    flow: compose,
+    compose,
+    catchError,
+    retry,
+    finally: finallyStep,
+    all,
+    race,
+    allSettled,
+    when,
+    unless,
+    match,
+  };
 }
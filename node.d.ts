@@ -0,0 +1,13 @@
+// Type declarations for aspipes/node.
+
+import type { Duplex, Readable, ReadableOptions, Writable } from 'node:stream';
+import type { AsPipes, Step } from './index.js';
+import type { Source, Bare } from './stream.js';
+
+export interface NodePipes {
+  toNodeReadable: Bare<Source<any>, Readable, (options?: ReadableOptions) => Step<Source<any>, Readable>>;
+  pipeTo<W extends Writable>(writable: W, options?: { end?: boolean }): Step<Source<any>, W>;
+  transform<O = any>(stream: Duplex): Step<Source<any>, AsyncIterable<O>>;
+}
+
+export function createNodePipes(asPipe: AsPipes['asPipe']): NodePipes;
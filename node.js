@@ -0,0 +1,41 @@
+// Node.js stream interop for asPipes pipelines. A Readable is already an
+// async iterable, so it can be the input of pipe() and flow through the
+// operators of stream.js as it is.
+
+import { Readable, addAbortSignal, pipeline as pipelineCallback } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+// Options for node:stream, with the run signal when there is one
+const withSignal = (signal, options = {}) => (signal ? { ...options, signal } : options);
+
+export function createNodePipes(asPipe) {
+  // Turn the stream into a Node Readable (object mode by default). It reads
+  // the stream as it is consumed, destroying the Readable closes the stream
+  // and a failing stream destroys the Readable.
+  const toNodeReadable = asPipe(function (iterable, options) {
+    return Readable.from(iterable, withSignal(this?.signal, options));
+  });
+
+  // Write the stream to a Writable, waiting for 'drain' when it is full.
+  // Resolves once the Writable has finished; with end: false it is left
+  // open. Errors destroy the Writable and close the stream.
+  const pipeTo = asPipe(async function (iterable, writable, { end = true } = {}) {
+    try {
+      await pipeline(iterable, writable, withSignal(this?.signal, { end }));
+    } catch (e) {
+      // Report an abort with its reason, like the rest of the pipeline
+      throw this?.signal?.aborted ? this.signal.reason : e;
+    }
+    return writable;
+  });
+
+  // Send the stream through a Transform (or Duplex) and emit what it
+  // produces. Errors and destruction propagate both ways.
+  const transform = asPipe(function (iterable, stream) {
+    if (this?.signal) addAbortSignal(this.signal, stream);
+    // Failures reach the consumer through the returned stream
+    return pipelineCallback(iterable, stream, () => {});
+  });
+
+  return { toNodeReadable, pipeTo, transform };
+}
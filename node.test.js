@@ -0,0 +1,232 @@
+import { createAsPipes } from './index.js';
+import { createStreamPipes, eventStream, collect } from './stream.js';
+import { createNodePipes } from './node.js';
+import { counted } from './fixtures.js';
+import { strict as assert } from 'node:assert';
+import { once } from 'node:events';
+import { Readable, Transform, Writable, PassThrough } from 'node:stream';
+import { test } from 'node:test';
+
+// Wait until a Node stream has emitted 'close'
+const closed = async (stream) => stream.closed || (await once(stream, 'close'));
+
+// A Writable that stores what it receives, slowly, with room for 2 items
+function sink({ fail } = {}) {
+  const writable = new Writable({
+    objectMode: true,
+    highWaterMark: 2,
+    write(chunk, encoding, callback) {
+      if (chunk === fail) return callback(new Error(`cannot write ${chunk}`));
+      writable.items.push(chunk);
+      setTimeout(callback, 1);
+    },
+  });
+  writable.items = [];
+  return writable;
+}
+
+test('a Readable is the input of a pipeline', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map, filter } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(Readable.from([1, 2, 3, 4]))) | filter((x) => x % 2 === 0) | map((x) => x * 10);
+
+  assert.deepEqual(await collect(await result.run()), [20, 40]);
+});
+
+test('stopping a pipeline early destroys its input Readable', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { take } = createStreamPipes(asPipe);
+  const readable = Readable.from(eventStream([1, 2, 3, 4]));
+
+  let result;
+  (result = pipe(readable)) | take(2);
+
+  assert.deepEqual(await collect(await result.run()), [1, 2]);
+  assert.equal(readable.destroyed, true);
+});
+
+test('a failing Readable fails the pipeline', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map } = createStreamPipes(asPipe);
+  const readable = new PassThrough({ objectMode: true });
+
+  let result;
+  (result = pipe(readable)) | map((x) => x);
+  const items = collect(await result.run());
+  readable.write('a');
+  readable.destroy(new Error('connection reset'));
+
+  await assert.rejects(items, /connection reset/);
+});
+
+test('toNodeReadable reads the stream as the Readable is consumed', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map } = createStreamPipes(asPipe);
+  const { toNodeReadable } = createNodePipes(asPipe);
+  const source = counted(100);
+
+  let result;
+  (result = pipe(source)) | map((x) => x * 2) | toNodeReadable({ highWaterMark: 4 });
+  const readable = await result.run();
+
+  assert.ok(readable instanceof Readable);
+  await once(readable, 'readable');
+  assert.ok(source.pulled < 10, `read ${source.pulled} items ahead`);
+
+  const items = [];
+  for await (const item of readable) if (items.push(item) === 3) break;
+  assert.deepEqual(items, [2, 4, 6]);
+  await source.closing;
+});
+
+test('toNodeReadable is destroyed when the stream fails', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map } = createStreamPipes(asPipe);
+  const { toNodeReadable } = createNodePipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream([1, 2]))) |
+    map((x) => {
+      if (x === 2) throw new Error('bad item');
+      return x;
+    }) |
+    toNodeReadable();
+  const readable = await result.run();
+
+  await assert.rejects(collect(readable), /bad item/);
+  assert.equal(readable.destroyed, true);
+});
+
+test('pipeTo writes everything, waiting for drain', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map } = createStreamPipes(asPipe);
+  const { pipeTo } = createNodePipes(asPipe);
+  const writable = sink();
+  let peak = 0;
+  const write = writable.write.bind(writable);
+  writable.write = (chunk) => {
+    peak = Math.max(peak, writable.writableLength + 1);
+    return write(chunk);
+  };
+
+  let result;
+  (result = pipe(eventStream([1, 2, 3, 4, 5, 6]))) | map((x) => x * 2) | pipeTo(writable);
+
+  assert.equal(await result.run(), writable);
+  assert.deepEqual(writable.items, [2, 4, 6, 8, 10, 12]);
+  assert.equal(writable.writableFinished, true);
+  assert.ok(peak <= 2, `buffered ${peak} items`);
+});
+
+test('pipeTo can leave the Writable open', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { pipeTo } = createNodePipes(asPipe);
+  const writable = sink();
+
+  let result;
+  (result = pipe(eventStream(['a', 'b']))) | pipeTo(writable, { end: false });
+  await result.run();
+
+  assert.deepEqual(writable.items, ['a', 'b']);
+  assert.equal(writable.writableEnded, false);
+});
+
+test('pipeTo fails and closes the stream when the Writable fails', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { pipeTo } = createNodePipes(asPipe);
+  const source = counted(100);
+
+  let result;
+  (result = pipe(source)) | pipeTo(sink({ fail: 3 }));
+
+  await assert.rejects(result.run(), /cannot write 3/);
+  await source.closing;
+  assert.ok(source.pulled < 10, `read ${source.pulled} items`);
+});
+
+test('pipeTo destroys the Writable when the stream fails', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { pipeTo } = createNodePipes(asPipe);
+  const writable = sink();
+
+  async function* source() {
+    yield 'a';
+    throw new Error('source broke');
+  }
+
+  let result;
+  (result = pipe(source())) | pipeTo(writable);
+
+  await assert.rejects(result.run(), /source broke/);
+  assert.equal(writable.destroyed, true);
+});
+
+test('pipeTo stops when the run is aborted', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { pipeTo } = createNodePipes(asPipe);
+  const controller = new AbortController();
+  const writable = sink();
+
+  async function* ticks() {
+    for (let i = 0; ; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      yield i;
+    }
+  }
+
+  let result;
+  (result = pipe(ticks())) | pipeTo(writable);
+  setTimeout(() => controller.abort(), 20);
+
+  await assert.rejects(
+    result.run({ signal: controller.signal }),
+    (error) => error === controller.signal.reason,
+  );
+  assert.equal(writable.destroyed, true);
+});
+
+test('transform sends the stream through a Transform', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map, take } = createStreamPipes(asPipe);
+  const { transform } = createNodePipes(asPipe);
+  const source = counted(100);
+  const upper = new Transform({
+    objectMode: true,
+    transform: (chunk, encoding, callback) => callback(null, `${chunk}!`),
+  });
+
+  let result;
+  (result = pipe(source)) | transform(upper) | map((s) => s.toUpperCase()) | take(3);
+
+  assert.deepEqual(await collect(await result.run()), ['1!', '2!', '3!']);
+  await closed(upper);
+  assert.equal(upper.destroyed, true);
+  await source.closing;
+});
+
+test('transform fails when the stream or the Transform fails', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { transform } = createNodePipes(asPipe);
+  const passThrough = () => new PassThrough({ objectMode: true });
+
+  async function* broken() {
+    yield 'a';
+    throw new Error('source broke');
+  }
+
+  let failingSource;
+  (failingSource = pipe(broken())) | transform(passThrough());
+  await assert.rejects(collect(await failingSource.run()), /source broke/);
+
+  const failing = new Transform({
+    objectMode: true,
+    transform: (chunk, encoding, callback) => callback(new Error(`cannot transform ${chunk}`)),
+  });
+  const source = counted(10);
+  let failingTransform;
+  (failingTransform = pipe(source)) | transform(failing);
+  await assert.rejects(collect(await failingTransform.run()), /cannot transform 1/);
+  await source.closing;
+});
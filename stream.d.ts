@@ -0,0 +1,211 @@
+// Type declarations for aspipes/stream.
+
+import type { AsPipes, Pipeline, Step } from './index.js';
+
+/** What the operators accept as a stream. */
+export type Source<T> = AsyncIterable<T> | Iterable<T> | ReadableStream<T>;
+
+/** What the generator operators produce. */
+export type Stream<T> = AsyncGenerator<T, void, undefined>;
+
+/** The items of a source. */
+export type ItemOf<S> = S extends Source<infer T> ? T : never;
+
+type Items<S extends readonly unknown[]> = { -readonly [K in keyof S]: ItemOf<S[K]> };
+
+/** What an inner stream of flatMap and friends emits. */
+export type InnerItem<R> =
+  R extends Pipeline<any>
+    ? unknown
+    : Awaited<R> extends AsyncIterable<infer T>
+      ? T
+      : Awaited<R> extends ReadableStream<infer T>
+        ? T
+        : Awaited<R>;
+
+/**
+ * An operator usable bare, as `| share`, or called, as `| share()`. Call
+ * is its call signature when that is generic or takes arguments.
+ */
+export type Bare<In, Out, Call = () => Step<In, Out>> = Call & Step<In, Out>;
+
+/** The timers used by the time-based operators. */
+export interface Scheduler {
+  now(): number;
+  setTimeout(fn: () => void, ms: number): unknown;
+  clearTimeout(handle: any): void;
+}
+
+export const realScheduler: Scheduler;
+
+/** Raised by timeout() when the source stays silent for too long. */
+export class TimeoutError extends Error {
+  constructor(ms: number);
+}
+
+/** Raised by the text parsers, with the line the problem was found on. */
+export class ParseError extends Error {
+  constructor(message: string, line: number, options?: ErrorOptions);
+  line: number;
+}
+
+/** Raised by a queue with the 'error' strategy when it is full. */
+export class QueueOverflowError extends Error {
+  constructor(size: number);
+}
+
+export interface QueueOptions<T = unknown> {
+  /** The most items held, Infinity by default. */
+  size?: number;
+  /** What push() does when the queue is full, 'block' by default. */
+  strategy?: 'block' | 'dropOldest' | 'dropNewest' | 'error';
+  onDrop?: (item: T) => void;
+}
+
+export interface QueueMetrics {
+  pushed: number;
+  dropped: number;
+  maxLength: number;
+}
+
+/** A push-to-pull bridge: push() items, iterate them in order. */
+export interface Queue<T> extends AsyncIterable<T> {
+  readonly metrics: QueueMetrics;
+  readonly length: number;
+  /** Items pushed with the 'block' strategy that wait for room. */
+  readonly waiting: number;
+  /**
+   * With the 'block' strategy, resolves once the item fits. The queue is only
+   * bounded when producers await it.
+   */
+  push(item: T): void | Promise<void>;
+  end(): void;
+  fail(error: unknown): void;
+}
+
+export function createQueue<T = unknown>(options?: QueueOptions<T>): Queue<T>;
+
+/** Let several consumers iterate one source. */
+export function broadcast<T>(
+  source: Source<T>,
+  options?: { replay?: number; signal?: AbortSignal },
+): AsyncIterable<T>;
+
+/** A sub-stream of groupBy(). */
+export interface Group<K, T> extends AsyncIterable<T> {
+  key: K;
+}
+
+export interface ServerSentEvent {
+  event: string;
+  data: string;
+  id: string;
+  retry?: number;
+}
+
+type Chunk = string | BufferSource;
+
+export interface StreamPipes {
+  map<T, U>(fn: (item: T) => U): Step<Source<T>, Stream<Awaited<U>>>;
+  mapConcurrent<T, U>(
+    fn: (item: T, context: { signal: AbortSignal }) => U,
+    /** `concurrency` bounds the calls in flight and the items read ahead, 4 by default. */
+    options?: { concurrency?: number; ordered?: boolean },
+  ): Step<Source<T>, Stream<Awaited<U>>>;
+  filter<T, S extends T>(predicate: (item: T) => item is S): Step<Source<T>, Stream<S>>;
+  filter<T>(predicate: (item: T) => unknown): Step<Source<T>, Stream<T>>;
+  take<T>(n: number): Step<Source<T>, Stream<T>>;
+  skip<T>(n: number): Step<Source<T>, Stream<T>>;
+  takeWhile<T>(predicate: (item: T) => unknown): Step<Source<T>, Stream<T>>;
+  skipWhile<T>(predicate: (item: T) => unknown): Step<Source<T>, Stream<T>>;
+  takeUntil<T>(notifier: Source<unknown> | AbortSignal): Step<Source<T>, Stream<T>>;
+  scan<T, A>(reducer: (acc: A, item: T) => A | PromiseLike<A>, initialValue: A): Step<Source<T>, Stream<A>>;
+  scan<T>(reducer: (acc: T, item: T) => T | PromiseLike<T>): Step<Source<T>, Stream<T>>;
+  reduce<T, A>(reducer: (acc: A, item: T) => A | PromiseLike<A>, initialValue: A): Step<Source<T>, A>;
+  reduce<T>(reducer: (acc: T, item: T) => T | PromiseLike<T>): Step<Source<T>, T | undefined>;
+
+  first<T>(predicate?: (item: T) => unknown): Step<Source<T>, T | undefined>;
+  last<T>(predicate?: (item: T) => unknown): Step<Source<T>, T | undefined>;
+  find<T>(predicate: (item: T) => unknown): Step<Source<T>, T | undefined>;
+  some<T>(predicate: (item: T) => unknown): Step<Source<T>, boolean>;
+  every<T>(predicate: (item: T) => unknown): Step<Source<T>, boolean>;
+  elementAt<T, D = undefined>(index: number, defaultValue?: D): Step<Source<T>, T | D>;
+
+  debounceTime<T>(ms: number): Step<Source<T>, Stream<T>>;
+  throttleTime<T>(ms: number, options?: { leading?: boolean; trailing?: boolean }): Step<Source<T>, Stream<T>>;
+  delay<T>(ms: number): Step<Source<T>, Stream<T>>;
+  timeout<T>(ms: number): Step<Source<T>, Stream<T>>;
+  sample<T>(ms: number): Step<Source<T>, Stream<T>>;
+
+  merge<T, O extends readonly Source<any>[]>(...others: O): Step<Source<T>, Stream<T | ItemOf<O[number]>>>;
+  concat<T, O extends readonly Source<any>[]>(...others: O): Step<Source<T>, Stream<T | ItemOf<O[number]>>>;
+  zip<T, O extends readonly Source<any>[]>(...others: O): Step<Source<T>, Stream<[T, ...Items<O>]>>;
+  combineLatest<T, O extends readonly Source<any>[]>(...others: O): Step<Source<T>, Stream<[T, ...Items<O>]>>;
+  withLatestFrom<T, O extends readonly Source<any>[]>(...others: O): Step<Source<T>, Stream<[T, ...Items<O>]>>;
+
+  flatMap<T, R>(
+    project: (item: T, index: number) => R,
+    options?: { concurrency?: number },
+  ): Step<Source<T>, Stream<InnerItem<R>>>;
+  concatMap<T, R>(project: (item: T, index: number) => R): Step<Source<T>, Stream<InnerItem<R>>>;
+  switchMap<T, R>(project: (item: T, index: number) => R): Step<Source<T>, Stream<InnerItem<R>>>;
+  exhaustMap<T, R>(project: (item: T, index: number) => R): Step<Source<T>, Stream<InnerItem<R>>>;
+
+  bufferCount<T>(n: number, step?: number): Step<Source<T>, Stream<T[]>>;
+  bufferTime<T>(ms: number): Step<Source<T>, Stream<T[]>>;
+  bufferWhen<T>(predicate: (item: T, buffer: T[]) => unknown): Step<Source<T>, Stream<T[]>>;
+  pairwise: Bare<Source<any>, Stream<[any, any]>, <T>() => Step<Source<T>, Stream<[T, T]>>>;
+  windowCount<T>(n: number, step?: number): Step<Source<T>, Stream<AsyncIterable<T>>>;
+  groupBy<T, K>(keyFn: (item: T) => K | PromiseLike<K>): Step<Source<T>, Stream<Group<K, T>>>;
+
+  repeat: Bare<Source<any>, Stream<any>, <T>(count?: number) => Step<Source<T>, Stream<T>>>;
+  toReadableStream: Bare<
+    Source<any>,
+    ReadableStream<any>,
+    <T>(strategy?: QueuingStrategy<T>) => Step<Source<T>, ReadableStream<T>>
+  >;
+  through<I, O>(transformStream: ReadableWritablePair<O, I>): Step<Source<I>, Stream<O>>;
+
+  decodeText: Bare<Source<Chunk>, Stream<string>, (encoding?: string) => Step<Source<Chunk>, Stream<string>>>;
+  splitLines: Bare<Source<string>, Stream<string>>;
+  parseNDJSON: Bare<Source<string>, Stream<any>, <T>() => Step<Source<string>, Stream<T>>>;
+  stringifyNDJSON: Bare<Source<unknown>, Stream<string>>;
+  parseCSV: Bare<
+    Source<string>,
+    Stream<string[]>,
+    ((options?: { header?: false; delimiter?: string }) => Step<Source<string>, Stream<string[]>>) &
+      (<N extends string = string>(options: {
+        header: true | readonly N[];
+        delimiter?: string;
+      }) => Step<Source<string>, Stream<Record<N, string>>>)
+  >;
+  sse: Bare<Response | Source<Chunk>, Stream<ServerSentEvent>>;
+  deltaContent: Bare<Source<ServerSentEvent>, Stream<string>>;
+
+  buffer: Bare<Source<any>, Stream<any>, <T>(options?: QueueOptions<T>) => Step<Source<T>, Stream<T>>>;
+  share: Bare<Source<any>, AsyncIterable<any>, <T>() => Step<Source<T>, AsyncIterable<T>>>;
+  shareReplay: Bare<Source<any>, AsyncIterable<any>, <T>(n?: number) => Step<Source<T>, AsyncIterable<T>>>;
+}
+
+export function createStreamPipes(asPipe: AsPipes['asPipe'], options?: { scheduler?: Scheduler }): StreamPipes;
+
+/**
+ * The first listener argument of each event, with a bounded backlog if asked.
+ * A bounded backlog drops the oldest event by default; it cannot block.
+ */
+export function fromEvent<T = any>(
+  target: EventTarget | { on(name: string, listener: (event: T) => void): unknown },
+  name: string,
+  options?: Omit<QueueOptions<T>, 'strategy'> & { strategy?: 'dropOldest' | 'dropNewest' | 'error' },
+): Stream<T>;
+export function interval(ms: number, scheduler?: Scheduler): Stream<number>;
+export function timer(ms: number, scheduler?: Scheduler): Stream<0>;
+export function range(end: number): Stream<number>;
+export function range(start: number, end: number, step?: number): Stream<number>;
+export function fromReadableStream<T>(stream: ReadableStream<T>): Stream<T>;
+export function fromPromise<T>(promise: PromiseLike<T> | T): Stream<Awaited<T>>;
+/** Call factory() each time the stream is iterated and emit what it returns. */
+export function defer<R>(factory: () => R): AsyncIterable<InnerItem<R>>;
+export function eventStream<T>(events: Iterable<T>): Stream<T>;
+export function mouseEventStream<T>(events: Iterable<T>, delay?: number, scheduler?: Scheduler): Stream<T>;
+export function collect<T>(source: AsyncIterable<T> | Iterable<T>): Promise<T[]>;
@@ -1,16 +1,442 @@
 // Stream/Generator asPipe functions for functional reactive programming
 
-export function createStreamPipes(asPipe) {
+// A ReadableStream that can't be iterated directly (older runtimes) is read
+// through a reader instead
+const isReadableStream = (value) => typeof value?.getReader === 'function';
+const iterableOf = (value) =>
+  isReadableStream(value) && !value[Symbol.asyncIterator] ? fromReadableStream(value) : value;
+
+// Iterate a source until it ends or the signal aborts. On abort the pending
+// read is abandoned, the abort reason is thrown and the source is closed.
+async function* abortable(iterable, signal) {
+  iterable = iterableOf(iterable);
+  if (!signal) return yield* iterable;
+  signal.throwIfAborted();
+
+  const it = iterable[Symbol.asyncIterator]?.() ?? iterable[Symbol.iterator]();
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  aborted.catch(() => {});
+
+  let done = false;
+  try {
+    while (true) {
+      const result = await Promise.race([it.next(), aborted]);
+      if ((done = result.done)) return;
+      yield result.value;
+    }
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+    if (!done) {
+      // A source blocked in next() would never settle return(), so only wait
+      // for it when we stopped for a reason other than the abort
+      const closing = Promise.resolve(it.return?.()).catch(() => {});
+      if (!signal.aborted) await closing;
+    }
+  }
+}
+
+// An AbortController that also aborts when `signal` does. Aborting the
+// controller, or release() for one whose work is done, removes the
+// listener again.
+const linkedController = (signal) => {
+  const controller = new AbortController();
+  const link = new AbortController();
+  controller.release = () => link.abort();
+  if (signal?.aborted) controller.abort(signal.reason);
+  else {
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), {
+      once: true,
+      signal: link.signal,
+    });
+    controller.signal.addEventListener('abort', controller.release, { once: true });
+  }
+  return controller;
+};
+
+// Raised by a queue with the 'error' strategy when an item arrives while
+// it is full
+export class QueueOverflowError extends Error {
+  constructor(size) {
+    super(`Queue is full (${size} items)`);
+    this.name = 'QueueOverflowError';
+  }
+}
+
+// Push-to-pull bridge: push() items, then end() or fail(error) the stream.
+// Iterating it yields the queued items in order. Holds at most `size`
+// items; when full, `strategy` decides what push() does:
+//   'block'       returns a promise that resolves once the item fits. The
+//                 item waits outside the queue, counted in `waiting`, so
+//                 memory stays bounded only when producers await push()
+//   'dropOldest'  drops the oldest queued item to make room
+//   'dropNewest'  drops the pushed item
+//   'error'       fails the stream with a QueueOverflowError
+// Dropped items are counted in `metrics` and passed to onDrop.
+export function createQueue({ size = Infinity, strategy = 'block', onDrop } = {}) {
+  const items = [];
+  const blocked = [];
+  const metrics = { pushed: 0, dropped: 0, maxLength: 0 };
+  let done = false;
+  let failure = null;
+  let wake = null;
+  const notify = () => (wake?.(), (wake = null));
+  const drop = (item) => {
+    metrics.dropped++;
+    onDrop?.(item);
+  };
+  const enqueue = (item) => {
+    items.push(item);
+    metrics.maxLength = Math.max(metrics.maxLength, items.length);
+    notify();
+  };
+
+  const queue = {
+    metrics,
+    get length() {
+      return items.length;
+    },
+    get waiting() {
+      return blocked.length;
+    },
+    push(item) {
+      if (done) return;
+      metrics.pushed++;
+      if (items.length < size) return enqueue(item);
+      if (strategy === 'block')
+        return new Promise((resolve) => blocked.push({ item, resolve }));
+      if (strategy === 'dropOldest') {
+        drop(items.shift());
+        return enqueue(item);
+      }
+      if (strategy === 'dropNewest') return drop(item);
+      queue.fail(new QueueOverflowError(size));
+    },
+    end() {
+      done = true;
+      notify();
+    },
+    fail(error) {
+      if (done) return;
+      failure = { error };
+      done = true;
+      notify();
+    },
+    async *[Symbol.asyncIterator]() {
+      try {
+        while (true) {
+          if (items.length) {
+            const item = items.shift();
+            // Make room for a blocked producer
+            const next = blocked.shift();
+            if (next) {
+              enqueue(next.item);
+              next.resolve();
+            }
+            yield item;
+          } else if (failure) throw failure.error;
+          else if (done) return;
+          else await new Promise((resolve) => (wake = resolve));
+        }
+      } finally {
+        // A consumer that leaves early releases the producers
+        done = true;
+        blocked.splice(0).forEach(({ resolve }) => resolve());
+      }
+    },
+  };
+  return queue;
+}
+
+// Read a source in the background and hand its items to push-style
+// handlers, for operators that emit on their own schedule. The returned
+// stop() closes the source without reporting anything further. Once the
+// source is done the link to `signal` is released.
+const subscribe = (iterable, signal, { next, error, complete }) => {
+  const controller = linkedController(signal);
+  let stopped = false;
+  (async () => {
+    try {
+      for await (const item of abortable(iterable, controller.signal)) next(item);
+      complete();
+    } catch (e) {
+      if (!stopped) error(e);
+    } finally {
+      controller.abort();
+    }
+  })();
+  return () => {
+    stopped = true;
+    controller.abort();
+  };
+};
+
+// What create() returns, as a stream: pipeline tokens are run with the
+// signal, promises awaited and async iterables flattened
+async function* innerStream(create, signal) {
+  let result = create();
+  result = typeof result?.run === 'function' ? await result.run({ signal }) : await result;
+  if (result?.[Symbol.asyncIterator] || isReadableStream(result)) yield* abortable(result, signal);
+  else yield result;
+}
+
+// Project each upstream item to an inner stream and emit what the inners
+// produce. With `concurrency` inners active, a new item is queued
+// ('queue'), replaces the active ones ('switch') or is dropped ('ignore').
+async function* flattenInner(iterable, signal, project, { concurrency = Infinity, mode = 'queue' }) {
+  const out = createQueue();
+  const active = new Set();
+  const queue = [];
+  let index = 0;
+  let completed = false;
+  const finish = () => completed && !active.size && !queue.length && out.end();
+
+  const start = (item) => {
+    const controller = linkedController(signal);
+    let stop;
+    const cancel = () => (stop(), controller.abort());
+    active.add(cancel);
+    const i = index++;
+    stop = subscribe(innerStream(() => project(item, i), controller.signal), controller.signal, {
+      next: (value) => out.push(value),
+      error(e) {
+        controller.release();
+        out.fail(e);
+      },
+      complete() {
+        active.delete(cancel);
+        controller.release();
+        if (queue.length) start(queue.shift());
+        else finish();
+      },
+    });
+  };
+  const cancelAll = () => {
+    active.forEach((cancel) => cancel());
+    active.clear();
+  };
+
+  const stopSource = subscribe(iterable, signal, {
+    next(item) {
+      if (active.size < concurrency) start(item);
+      else if (mode === 'queue') queue.push(item);
+      else if (mode === 'switch') {
+        cancelAll();
+        start(item);
+      }
+    },
+    error: (e) => out.fail(e),
+    complete() {
+      completed = true;
+      finish();
+    },
+  });
+  try {
+    yield* out;
+  } finally {
+    stopSource();
+    cancelAll();
+  }
+}
+
+// Let several consumers iterate one source. The source is read from the
+// first subscriber on and every item goes to all current subscribers; late
+// ones first get the last `replay` items. When the last subscriber leaves
+// the source is stopped, and a new subscriber starts it again.
+export function broadcast(iterable, { replay = 0, signal } = {}) {
+  const subscribers = new Set();
+  const recent = [];
+  let stop = null;
+  let ended = null;
+
+  const connect = () => {
+    stop = subscribe(iterable, signal, {
+      next(item) {
+        if (replay) {
+          recent.push(item);
+          if (recent.length > replay) recent.shift();
+        }
+        subscribers.forEach((subscriber) => subscriber.push(item));
+      },
+      error(error) {
+        ended = { error };
+        subscribers.forEach((subscriber) => subscriber.fail(error));
+      },
+      complete() {
+        ended = {};
+        subscribers.forEach((subscriber) => subscriber.end());
+      },
+    });
+  };
+
+  return {
+    async *[Symbol.asyncIterator]() {
+      const subscriber = createQueue();
+      recent.forEach((item) => subscriber.push(item));
+      if (ended?.error) subscriber.fail(ended.error);
+      else if (ended) subscriber.end();
+      else {
+        subscribers.add(subscriber);
+        if (!stop) connect();
+      }
+      try {
+        yield* subscriber;
+      } finally {
+        subscribers.delete(subscriber);
+        if (!subscribers.size && stop && !ended) {
+          stop();
+          stop = null;
+          recent.length = 0;
+        }
+      }
+    },
+  };
+}
+
+// A pull-based ReadableStream over an (async) iterable. Cancelling the
+// ReadableStream closes the iterable, and a failing iterable errors it.
+const readableStreamOf = (iterable, signal, strategy) => {
+  const it = abortable(iterable, signal);
+  return new ReadableStream(
+    {
+      async pull(controller) {
+        const { value, done } = await it.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      },
+      async cancel() {
+        await it.return();
+      },
+    },
+    strategy,
+  );
+};
+
+// Timers used by the time-based operators. Pass your own scheduler with
+// the same shape to createStreamPipes to control time, e.g. in tests.
+export const realScheduler = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+// Raised by timeout() when the source stays silent for too long
+export class TimeoutError extends Error {
+  constructor(ms) {
+    super(`No item received within ${ms}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Raised by the text parsers, with the line the problem was found on
+export class ParseError extends Error {
+  constructor(message, line, options) {
+    super(`${message} on line ${line}`, options);
+    this.name = 'ParseError';
+    this.line = line;
+  }
+}
+
+// Decode byte chunks to text, keeping characters split across chunks
+// intact. Text chunks pass through.
+async function* decodeChunks(iterable, signal, encoding = 'utf-8') {
+  const decoder = new TextDecoder(encoding);
+  for await (const chunk of abortable(iterable, signal)) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+// Split text chunks into [line, lineNumber] pairs, across chunk boundaries.
+// Both \n and \r\n end a line, and with `cr` (as in SSE) a bare \r too. A \r
+// at the end of a chunk waits for the next one, which may start with \n.
+async function* numberedLines(iterable, signal, { cr = false } = {}) {
+  let rest = '';
+  let number = 0;
+  const trim = (line) => (line.endsWith('\r') ? line.slice(0, -1) : line);
+  for await (const chunk of abortable(iterable, signal)) {
+    const text = rest + chunk;
+    const end = cr && text.endsWith('\r') ? text.length - 1 : text.length;
+    const lines = text.slice(0, end).split(cr ? /\r\n|\r|\n/ : '\n');
+    rest = lines.pop() + text.slice(end);
+    for (const line of lines) yield [trim(line), ++number];
+  }
+  if (rest) yield [trim(rest), ++number];
+}
+
+// Parse CSV text chunks into [fields, lineNumber] records. Quoted fields
+// may contain delimiters, newlines and "" for a quote.
+async function* csvRecords(iterable, signal, delimiter) {
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let closing = false;
+  let afterQuote = false;
+  let line = 1;
+  let start = 1;
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  for await (const chunk of abortable(iterable, signal)) {
+    for (const char of chunk) {
+      if (quoted) {
+        if (closing && char === '"') {
+          field += '"';
+          closing = false;
+          continue;
+        }
+        if (!closing) {
+          if (char === '"') closing = true;
+          else {
+            if (char === '\n') line++;
+            field += char;
+          }
+          continue;
+        }
+        quoted = closing = false;
+        afterQuote = true;
+      }
+      if (char === delimiter) endField();
+      else if (char === '\n') {
+        if (fields.length || field || afterQuote) {
+          endField();
+          yield [fields, start];
+          fields = [];
+        }
+        start = ++line;
+      } else if (char === '\r') continue;
+      else if (afterQuote) throw new ParseError('Unexpected character after a quoted field', line);
+      else if (char === '"' && !field) quoted = true;
+      else if (char === '"') throw new ParseError('Unexpected quote in a field', line);
+      else field += char;
+    }
+  }
+  if (quoted && !closing) throw new ParseError('Unterminated quoted field', start);
+  if (fields.length || field || quoted || afterQuote) {
+    endField();
+    yield [fields, start];
+  }
+}
+
+export function createStreamPipes(asPipe, { scheduler = realScheduler } = {}) {
   // Transform each item in async generators
   const map = asPipe(async function* (iterable, fn) {
-    for await (const item of iterable) {
+    for await (const item of abortable(iterable, this?.signal)) {
       yield await Promise.resolve(fn(item));
     }
   });
 
   // Filter items based on predicate
   const filter = asPipe(async function* (iterable, predicate) {
-    for await (const item of iterable) {
+    for await (const item of abortable(iterable, this?.signal)) {
       if (await Promise.resolve(predicate(item))) {
         yield item;
       }
@@ -19,11 +445,122 @@ export function createStreamPipes(asPipe) {
 
   // Take first n items from stream
   const take = asPipe(async function* (iterable, n) {
+    if (n <= 0) return;
     let count = 0;
-    for await (const item of iterable) {
-      if (count >= n) break;
+    // Stop right after the nth item so the source isn't pulled once more
+    for await (const item of abortable(iterable, this?.signal)) {
       yield item;
-      count++;
+      if (++count >= n) break;
+    }
+  });
+
+  // Like map, with up to `concurrency` (4 by default) calls of
+  // fn(item, { signal }) in flight. Results keep the input order unless
+  // ordered is false, and no more than `concurrency` items are read ahead of
+  // the consumer. The first error aborts the signal of the calls still
+  // running.
+  const mapConcurrent = asPipe(async function* (iterable, fn, { concurrency = 4, ordered = true } = {}) {
+    const controller = linkedController(this?.signal);
+    const { signal } = controller;
+    const it = abortable(iterable, signal);
+    const tasks = [];
+    let reading = null;
+    let exhausted = false;
+
+    const start = (item) => {
+      const task = { done: false };
+      task.promise = (async () => fn(item, { signal }))().then((value) => {
+        task.done = true;
+        task.value = value;
+      });
+      // Failures surface through the race below
+      task.promise.catch(() => {});
+      tasks.push(task);
+    };
+    const read = () => {
+      reading = it.next().then(({ value, done }) => {
+        reading = null;
+        if (done) exhausted = true;
+        else start(value);
+      });
+      reading.catch(() => {});
+    };
+
+    try {
+      while (true) {
+        if (!exhausted && !reading && tasks.length < concurrency) read();
+        const ready = ordered ? (tasks[0]?.done ? 0 : -1) : tasks.findIndex((task) => task.done);
+        if (ready >= 0) {
+          yield tasks.splice(ready, 1)[0].value;
+          continue;
+        }
+        if (exhausted && !tasks.length) return;
+        const running = tasks.filter((task) => !task.done).map((task) => task.promise);
+        await Promise.race([reading, ...running].filter(Boolean));
+      }
+    } finally {
+      controller.abort();
+      it.return().catch(() => {});
+    }
+  });
+
+  // Skip the first n items
+  const skip = asPipe(async function* (iterable, n) {
+    let count = 0;
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (count++ >= n) yield item;
+    }
+  });
+
+  // Emit items while predicate holds, stopping at the first that fails it
+  const takeWhile = asPipe(async function* (iterable, predicate) {
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (!(await Promise.resolve(predicate(item)))) return;
+      yield item;
+    }
+  });
+
+  // Skip items while predicate holds, then emit everything from the first
+  // that fails it
+  const skipWhile = asPipe(async function* (iterable, predicate) {
+    let skipping = true;
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (skipping && (await Promise.resolve(predicate(item)))) continue;
+      skipping = false;
+      yield item;
+    }
+  });
+
+  // Emit items until the notifier emits its first item, or aborts when it
+  // is an AbortSignal. The source is closed and the stream completes.
+  const takeUntil = asPipe(async function* (iterable, notifier) {
+    const controller = linkedController(this?.signal);
+    let until = null;
+    const stop = (error) => {
+      until ??= { error };
+      controller.abort();
+    };
+    let stopNotifier = () => {};
+
+    if (typeof notifier?.addEventListener === 'function' && 'aborted' in notifier) {
+      if (notifier.aborted) return;
+      notifier.addEventListener('abort', () => stop(), { once: true, signal: controller.signal });
+    } else {
+      stopNotifier = subscribe(notifier, controller.signal, {
+        next: () => stop(),
+        error: stop,
+        complete: () => {},
+      });
+    }
+
+    try {
+      for await (const item of abortable(iterable, controller.signal)) yield item;
+    } catch (e) {
+      if (!until) throw e;
+      if (until.error) throw until.error;
+    } finally {
+      stopNotifier();
+      controller.abort();
     }
   });
 
@@ -32,7 +569,7 @@ export function createStreamPipes(asPipe) {
     let accumulator = initialValue;
     let isFirst = true;
 
-    for await (const item of iterable) {
+    for await (const item of abortable(iterable, this?.signal)) {
       if (isFirst && accumulator === undefined) {
         accumulator = item;
         isFirst = false;
@@ -44,11 +581,11 @@ export function createStreamPipes(asPipe) {
   });
 
   // Reduce stream to single value
-  const reduce = asPipe(async (iterable, reducer, initialValue) => {
+  const reduce = asPipe(async function (iterable, reducer, initialValue) {
     let accumulator = initialValue;
     let isFirst = true;
 
-    for await (const item of iterable) {
+    for await (const item of abortable(iterable, this?.signal)) {
       if (isFirst && accumulator === undefined) {
         accumulator = item;
         isFirst = false;
@@ -60,7 +597,762 @@ export function createStreamPipes(asPipe) {
     return accumulator;
   });
 
-  return { map, filter, take, scan, reduce };
+  // Resolve to the first item, or the first matching predicate. Undefined
+  // when there is none.
+  const first = asPipe(async function (iterable, predicate = () => true) {
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (await Promise.resolve(predicate(item))) return item;
+    }
+  });
+
+  // Resolve to the last item matching predicate, undefined if none does
+  const last = asPipe(async function (iterable, predicate = () => true) {
+    let found;
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (await Promise.resolve(predicate(item))) found = item;
+    }
+    return found;
+  });
+
+  // Resolve to the first item matching predicate, undefined if none does
+  const find = asPipe(async function (iterable, predicate) {
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (await Promise.resolve(predicate(item))) return item;
+    }
+  });
+
+  // Resolve to whether any item matches predicate, stopping at the first
+  const some = asPipe(async function (iterable, predicate) {
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (await Promise.resolve(predicate(item))) return true;
+    }
+    return false;
+  });
+
+  // Resolve to whether every item matches predicate, stopping at the
+  // first that does not
+  const every = asPipe(async function (iterable, predicate) {
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (!(await Promise.resolve(predicate(item)))) return false;
+    }
+    return true;
+  });
+
+  // Resolve to the item at index, or defaultValue when the stream is shorter
+  const elementAt = asPipe(async function (iterable, index, defaultValue) {
+    let count = 0;
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (count++ === index) return item;
+    }
+    return defaultValue;
+  });
+
+  // Emit an item only once no newer item arrived for ms
+  const debounceTime = asPipe(async function* (iterable, ms) {
+    const out = createQueue();
+    let timer;
+    let pending = null;
+    const flush = () => {
+      if (pending) out.push(pending.item);
+      pending = null;
+    };
+
+    const stop = subscribe(iterable, this?.signal, {
+      next(item) {
+        pending = { item };
+        scheduler.clearTimeout(timer);
+        timer = scheduler.setTimeout(flush, ms);
+      },
+      error: (e) => out.fail(e),
+      complete() {
+        scheduler.clearTimeout(timer);
+        flush();
+        out.end();
+      },
+    });
+    try {
+      yield* out;
+    } finally {
+      scheduler.clearTimeout(timer);
+      stop();
+    }
+  });
+
+  // Emit an item, then ignore the source for ms. With trailing: true the
+  // last item ignored in a window is emitted when the window closes.
+  const throttleTime = asPipe(async function* (iterable, ms, { leading = true, trailing = false } = {}) {
+    const out = createQueue();
+    let timer;
+    let throttling = false;
+    let pending = null;
+
+    const startWindow = () => {
+      throttling = true;
+      timer = scheduler.setTimeout(() => {
+        throttling = false;
+        if (pending) {
+          out.push(pending.item);
+          pending = null;
+          startWindow();
+        }
+      }, ms);
+    };
+
+    const stop = subscribe(iterable, this?.signal, {
+      next(item) {
+        if (throttling) {
+          if (trailing) pending = { item };
+          return;
+        }
+        if (leading) out.push(item);
+        else if (trailing) pending = { item };
+        startWindow();
+      },
+      error: (e) => out.fail(e),
+      complete() {
+        scheduler.clearTimeout(timer);
+        if (pending) out.push(pending.item);
+        out.end();
+      },
+    });
+    try {
+      yield* out;
+    } finally {
+      scheduler.clearTimeout(timer);
+      stop();
+    }
+  });
+
+  // Shift every item ms later in time, keeping the gaps between them
+  const delay = asPipe(async function* (iterable, ms) {
+    const out = createQueue();
+    const timers = new Set();
+    let completed = false;
+
+    const stop = subscribe(iterable, this?.signal, {
+      next(item) {
+        const timer = scheduler.setTimeout(() => {
+          timers.delete(timer);
+          out.push(item);
+          if (completed && !timers.size) out.end();
+        }, ms);
+        timers.add(timer);
+      },
+      error: (e) => out.fail(e),
+      complete() {
+        completed = true;
+        if (!timers.size) out.end();
+      },
+    });
+    try {
+      yield* out;
+    } finally {
+      timers.forEach((timer) => scheduler.clearTimeout(timer));
+      stop();
+    }
+  });
+
+  // Fail with a TimeoutError when the source takes longer than ms to
+  // produce its next item
+  const timeout = asPipe(async function* (iterable, ms) {
+    const source = linkedController(this?.signal);
+    const it = abortable(iterable, source.signal);
+    let timer;
+    try {
+      while (true) {
+        const expired = new Promise((_, reject) => {
+          timer = scheduler.setTimeout(() => reject(new TimeoutError(ms)), ms);
+        });
+        const result = await Promise.race([it.next(), expired]);
+        scheduler.clearTimeout(timer);
+        if (result.done) return;
+        yield result.value;
+      }
+    } finally {
+      scheduler.clearTimeout(timer);
+      source.abort();
+      it.return().catch(() => {});
+    }
+  });
+
+  // Every ms, emit the latest item if a new one arrived since the last tick
+  const sample = asPipe(async function* (iterable, ms) {
+    const out = createQueue();
+    let timer;
+    let latest = null;
+    const tick = () => {
+      timer = scheduler.setTimeout(() => {
+        if (latest) out.push(latest.item);
+        latest = null;
+        tick();
+      }, ms);
+    };
+
+    const stop = subscribe(iterable, this?.signal, {
+      next: (item) => (latest = { item }),
+      error: (e) => out.fail(e),
+      complete: () => out.end(),
+    });
+    tick();
+    try {
+      yield* out;
+    } finally {
+      scheduler.clearTimeout(timer);
+      stop();
+    }
+  });
+
+  // Map each item to a value, promise, async iterable or pipeline token and
+  // emit everything they produce, running up to `concurrency` at a time
+  const flatMap = asPipe(async function* (iterable, project, { concurrency = Infinity } = {}) {
+    yield* flattenInner(iterable, this?.signal, project, { concurrency });
+  });
+
+  // Like flatMap, one inner at a time and in upstream order
+  const concatMap = asPipe(async function* (iterable, project) {
+    yield* flattenInner(iterable, this?.signal, project, { concurrency: 1 });
+  });
+
+  // Like flatMap, but a new item cancels the inner still running
+  const switchMap = asPipe(async function* (iterable, project) {
+    yield* flattenInner(iterable, this?.signal, project, { concurrency: 1, mode: 'switch' });
+  });
+
+  // Like flatMap, but items arriving while an inner runs are dropped
+  const exhaustMap = asPipe(async function* (iterable, project) {
+    yield* flattenInner(iterable, this?.signal, project, { concurrency: 1, mode: 'ignore' });
+  });
+
+  // Emit the items of the upstream and all others as they arrive. Completes
+  // once every source has completed.
+  const merge = asPipe(async function* (iterable, ...others) {
+    const sources = [iterable, ...others];
+    const out = createQueue();
+    let active = sources.length;
+
+    const stops = sources.map((source) =>
+      subscribe(source, this?.signal, {
+        next: (item) => out.push(item),
+        error: (e) => out.fail(e),
+        complete: () => --active || out.end(),
+      }),
+    );
+    try {
+      yield* out;
+    } finally {
+      stops.forEach((stop) => stop());
+    }
+  });
+
+  // Emit the upstream, then each of the others in turn
+  const concat = asPipe(async function* (iterable, ...others) {
+    const sources = [iterable, ...others];
+    let started = 0;
+    try {
+      for (const source of sources) {
+        started++;
+        yield* abortable(source, this?.signal);
+      }
+    } finally {
+      // Close the sources that never got their turn
+      for (const source of sources.slice(started)) await source.return?.();
+    }
+  });
+
+  // Pair up the nth items of every source as arrays. Completes as soon as
+  // one source does.
+  const zip = asPipe(async function* (iterable, ...others) {
+    const controller = linkedController(this?.signal);
+    const its = [iterable, ...others].map((source) => abortable(source, controller.signal));
+    try {
+      while (true) {
+        const results = await Promise.all(its.map((it) => it.next()));
+        if (results.some((result) => result.done)) return;
+        yield results.map((result) => result.value);
+      }
+    } finally {
+      controller.abort();
+      its.forEach((it) => it.return().catch(() => {}));
+    }
+  });
+
+  // Once every source has emitted, emit an array of their latest items
+  // whenever any of them emits
+  const combineLatest = asPipe(async function* (iterable, ...others) {
+    const sources = [iterable, ...others];
+    const out = createQueue();
+    const latest = sources.map(() => null);
+    let active = sources.length;
+
+    const stops = sources.map((source, i) =>
+      subscribe(source, this?.signal, {
+        next(item) {
+          latest[i] = { item };
+          if (latest.every(Boolean)) out.push(latest.map(({ item }) => item));
+        },
+        error: (e) => out.fail(e),
+        complete() {
+          // A source that never emitted means nothing can be combined
+          if (!latest[i] || !--active) out.end();
+        },
+      }),
+    );
+    try {
+      yield* out;
+    } finally {
+      stops.forEach((stop) => stop());
+    }
+  });
+
+  // Emit each upstream item as [item, ...latest items of the others], once
+  // every other source has emitted. Completes with the upstream.
+  const withLatestFrom = asPipe(async function* (iterable, ...others) {
+    const out = createQueue();
+    const latest = others.map(() => null);
+    const error = (e) => out.fail(e);
+
+    const stops = others.map((source, i) =>
+      subscribe(source, this?.signal, {
+        next: (item) => (latest[i] = { item }),
+        error,
+        complete: () => {},
+      }),
+    );
+    stops.push(
+      subscribe(iterable, this?.signal, {
+        next(item) {
+          if (latest.every(Boolean)) out.push([item, ...latest.map(({ item }) => item)]);
+        },
+        error,
+        complete: () => out.end(),
+      }),
+    );
+    try {
+      yield* out;
+    } finally {
+      stops.forEach((stop) => stop());
+    }
+  });
+
+  // Decode byte chunks (Uint8Array, Buffer) to text, keeping characters
+  // split across chunks intact. Text chunks pass through.
+  const decodeText = asPipe(function (iterable, encoding = 'utf-8') {
+    return decodeChunks(iterable, this?.signal, encoding);
+  });
+
+  // Split text chunks into lines, without the line endings
+  const splitLines = asPipe(async function* (iterable) {
+    for await (const [line] of numberedLines(iterable, this?.signal)) yield line;
+  });
+
+  // Parse text chunks of newline-delimited JSON, one value per line. Blank
+  // lines are skipped; invalid JSON fails with a ParseError.
+  const parseNDJSON = asPipe(async function* (iterable) {
+    for await (const [line, number] of numberedLines(iterable, this?.signal)) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (e) {
+        if (!(e instanceof SyntaxError)) throw e;
+        throw new ParseError(`Invalid JSON: ${e.message}`, number, { cause: e });
+      }
+    }
+  });
+
+  // Serialize each item as a line of JSON
+  const stringifyNDJSON = asPipe(async function* (iterable) {
+    for await (const item of abortable(iterable, this?.signal)) {
+      yield `${JSON.stringify(item)}\n`;
+    }
+  });
+
+  // Parse CSV text chunks into an array of fields per record. With header:
+  // true the first record names the fields and records become objects;
+  // header can also be the array of names.
+  const parseCSV = asPipe(async function* (iterable, { header = false, delimiter = ',' } = {}) {
+    let names = Array.isArray(header) ? header : null;
+    for await (const [fields, line] of csvRecords(iterable, this?.signal, delimiter)) {
+      if (!header) yield fields;
+      else if (!names) names = fields;
+      else if (fields.length !== names.length)
+        throw new ParseError(`Expected ${names.length} fields, got ${fields.length}`, line);
+      else yield Object.fromEntries(names.map((name, i) => [name, fields[i]]));
+    }
+  });
+
+  // Parse a Server-Sent Events stream into { event, data, id, retry }
+  // events. The input is a fetch() Response, its body, or a stream of byte
+  // or text chunks. Comments are skipped and an unfinished event at the end
+  // is dropped.
+  const sse = asPipe(async function* (input) {
+    const source = isReadableStream(input?.body) ? input.body : input;
+    let event = { event: 'message', data: [] };
+    let id = '';
+    let retry;
+
+    const lines = numberedLines(decodeChunks(source, this?.signal), this?.signal, { cr: true });
+    for await (const [line] of lines) {
+      if (!line) {
+        if (event.data.length) yield { event: event.event, data: event.data.join('\n'), id, retry };
+        event = { event: 'message', data: [] };
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon < 0 ? line : line.slice(0, colon);
+      const value = colon < 0 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event.event = value;
+      else if (field === 'data') event.data.push(value);
+      else if (field === 'id' && !value.includes('\0')) id = value;
+      else if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value);
+    }
+  });
+
+  // The text of an OpenAI-style streaming chat completion: the
+  // choices[0].delta.content of each SSE event, until [DONE]
+  const deltaContent = asPipe(async function* (events) {
+    for await (const { data } of abortable(events, this?.signal)) {
+      if (data === '[DONE]') return;
+      const content = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (content) yield content;
+    }
+  });
+
+  // Turn the stream into a WHATWG ReadableStream that reads it as it is
+  // consumed. The optional strategy is the ReadableStream queuing strategy.
+  const toReadableStream = asPipe(function (iterable, strategy) {
+    return readableStreamOf(iterable, this?.signal, strategy);
+  });
+
+  // Send the stream through a WHATWG TransformStream, like
+  // TextDecoderStream or CompressionStream, and emit what comes out
+  const through = asPipe(function (iterable, transformStream) {
+    const signal = this?.signal;
+    const readable = readableStreamOf(iterable, signal).pipeThrough(
+      transformStream,
+      signal ? { signal } : {},
+    );
+    return fromReadableStream(readable);
+  });
+
+  // Iterate the upstream count times, e.g. a defer() source. Stops early
+  // when a pass emits nothing, as a used-up generator would.
+  const repeat = asPipe(async function* (iterable, count = Infinity) {
+    for (let pass = 0; pass < count; pass++) {
+      let emitted = false;
+      for await (const item of abortable(iterable, this?.signal)) {
+        emitted = true;
+        yield item;
+      }
+      if (!emitted) return;
+    }
+  });
+
+  // Read the source ahead of a slow consumer into a queue of at most
+  // `size` items. What happens when it is full depends on `strategy`, see
+  // createQueue(); with 'block' the source is not read until there is room.
+  const buffer = asPipe(async function* (iterable, options) {
+    const queue = createQueue(options);
+    const controller = linkedController(this?.signal);
+    (async () => {
+      try {
+        for await (const item of abortable(iterable, controller.signal)) await queue.push(item);
+        queue.end();
+      } catch (e) {
+        queue.fail(e);
+      }
+    })();
+    try {
+      yield* queue;
+    } finally {
+      controller.abort();
+    }
+  });
+
+  // Let several consumers iterate the stream, see broadcast()
+  const share = asPipe(function (iterable) {
+    return broadcast(iterable, { signal: this?.signal });
+  });
+
+  // Like share, with the last n items replayed to late subscribers
+  const shareReplay = asPipe(function (iterable, n = Infinity) {
+    return broadcast(iterable, { replay: n, signal: this?.signal });
+  });
+
+  // Emit arrays of n items, starting a new one every `step` items. Buffers
+  // still open when the source completes are emitted as they are.
+  const bufferCount = asPipe(async function* (iterable, n, step = n) {
+    const buffers = [];
+    let count = 0;
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (count++ % step === 0) buffers.push([]);
+      buffers.forEach((buffer) => buffer.push(item));
+      if (buffers[0]?.length >= n) yield buffers.shift();
+    }
+    yield* buffers.filter((buffer) => buffer.length);
+  });
+
+  // Every ms, emit an array of the items that arrived since the last one,
+  // empty if none did
+  const bufferTime = asPipe(async function* (iterable, ms) {
+    const out = createQueue();
+    let timer;
+    let buffer = [];
+    const tick = () => {
+      timer = scheduler.setTimeout(() => {
+        out.push(buffer);
+        buffer = [];
+        tick();
+      }, ms);
+    };
+
+    const stop = subscribe(iterable, this?.signal, {
+      next: (item) => buffer.push(item),
+      error: (e) => out.fail(e),
+      complete() {
+        scheduler.clearTimeout(timer);
+        if (buffer.length) out.push(buffer);
+        out.end();
+      },
+    });
+    tick();
+    try {
+      yield* out;
+    } finally {
+      scheduler.clearTimeout(timer);
+      stop();
+    }
+  });
+
+  // Collect items until predicate(item, buffer) is true, then emit the
+  // buffer including that item
+  const bufferWhen = asPipe(async function* (iterable, predicate) {
+    let buffer = [];
+    for await (const item of abortable(iterable, this?.signal)) {
+      buffer.push(item);
+      if (await Promise.resolve(predicate(item, buffer))) {
+        yield buffer;
+        buffer = [];
+      }
+    }
+    if (buffer.length) yield buffer;
+  });
+
+  // Emit [previous, current] for every item after the first
+  const pairwise = asPipe(async function* (iterable) {
+    let previous = null;
+    for await (const item of abortable(iterable, this?.signal)) {
+      if (previous) yield [previous.item, item];
+      previous = { item };
+    }
+  });
+
+  // A sub-stream of windowCount or groupBy: only the reading side of a queue
+  const subStream = (queue, fields) => ({
+    ...fields,
+    [Symbol.asyncIterator]: () => queue[Symbol.asyncIterator](),
+  });
+
+  // Like bufferCount, but emit each window as a stream as soon as it opens.
+  // The source is read in the background, so the windows fill whether or
+  // not the outer stream is being read.
+  const windowCount = asPipe(async function* (iterable, n, step = n) {
+    const out = createQueue();
+    const windows = [];
+    let count = 0;
+
+    const stop = subscribe(iterable, this?.signal, {
+      next(item) {
+        if (count++ % step === 0) {
+          const window = createQueue();
+          windows.push({ window, size: 0 });
+          out.push(subStream(window));
+        }
+        for (const open of windows) {
+          open.window.push(item);
+          open.size++;
+        }
+        if (windows[0]?.size >= n) windows.shift().window.end();
+      },
+      error(e) {
+        windows.forEach(({ window }) => window.fail(e));
+        out.fail(e);
+      },
+      complete() {
+        windows.forEach(({ window }) => window.end());
+        out.end();
+      },
+    });
+    try {
+      yield* out;
+    } finally {
+      stop();
+      windows.forEach(({ window }) => window.end());
+    }
+  });
+
+  // Split the stream into a sub-stream per keyFn(item), emitted as
+  // { key, [Symbol.asyncIterator] } when its first item arrives. The source
+  // is read in the background, like windowCount.
+  const groupBy = asPipe(async function* (iterable, keyFn) {
+    const out = createQueue();
+    const groups = new Map();
+    const keyed = async function* () {
+      for await (const item of iterableOf(iterable)) yield [await keyFn(item), item];
+    };
+
+    const stop = subscribe(keyed(), this?.signal, {
+      next([key, item]) {
+        if (!groups.has(key)) {
+          groups.set(key, createQueue());
+          out.push(subStream(groups.get(key), { key }));
+        }
+        groups.get(key).push(item);
+      },
+      error(e) {
+        groups.forEach((group) => group.fail(e));
+        out.fail(e);
+      },
+      complete() {
+        groups.forEach((group) => group.end());
+        out.end();
+      },
+    });
+    try {
+      yield* out;
+    } finally {
+      stop();
+      groups.forEach((group) => group.end());
+    }
+  });
+
+  return {
+    map,
+    mapConcurrent,
+    filter,
+    take,
+    skip,
+    takeWhile,
+    skipWhile,
+    takeUntil,
+    scan,
+    reduce,
+    first,
+    last,
+    find,
+    some,
+    every,
+    elementAt,
+    debounceTime,
+    throttleTime,
+    delay,
+    timeout,
+    sample,
+    merge,
+    concat,
+    zip,
+    combineLatest,
+    withLatestFrom,
+    flatMap,
+    concatMap,
+    switchMap,
+    exhaustMap,
+    bufferCount,
+    bufferTime,
+    bufferWhen,
+    pairwise,
+    windowCount,
+    groupBy,
+    repeat,
+    toReadableStream,
+    through,
+    decodeText,
+    splitLines,
+    parseNDJSON,
+    stringifyNDJSON,
+    parseCSV,
+    sse,
+    deltaContent,
+    buffer,
+    share,
+    shareReplay,
+  };
+}
+
+// Items of an EventTarget or EventEmitter event, the first listener
+// argument each. The listener is added when iteration starts and removed
+// when it stops. Options are passed to createQueue() to bound the backlog;
+// events cannot wait for room, so a bounded queue drops the oldest event
+// by default and 'block' is refused.
+export async function* fromEvent(target, name, { size = Infinity, strategy, onDrop } = {}) {
+  if (strategy === 'block' && size !== Infinity)
+    throw new TypeError(
+      "fromEvent cannot block an event source: use 'dropOldest', 'dropNewest' or 'error'",
+    );
+  strategy ??= size === Infinity ? 'block' : 'dropOldest';
+  const queue = createQueue({ size, strategy, onDrop });
+  const listener = (event) => queue.push(event);
+  const [add, remove] = target.addEventListener
+    ? ['addEventListener', 'removeEventListener']
+    : ['on', 'off' in target ? 'off' : 'removeListener'];
+
+  target[add](name, listener);
+  try {
+    yield* queue;
+  } finally {
+    target[remove](name, listener);
+  }
+}
+
+// 0, 1, 2, ... every ms, without drifting
+export async function* interval(ms, scheduler = realScheduler) {
+  const start = scheduler.now();
+  for (let i = 0; ; i++) {
+    const wait = start + (i + 1) * ms - scheduler.now();
+    await new Promise((resolve) => scheduler.setTimeout(resolve, wait));
+    yield i;
+  }
+}
+
+// A single 0 after ms
+export async function* timer(ms, scheduler = realScheduler) {
+  await new Promise((resolve) => scheduler.setTimeout(resolve, ms));
+  yield 0;
+}
+
+// Numbers from start up to, not including, end. range(n) counts from 0.
+export async function* range(start, end, step = 1) {
+  if (end === undefined) [start, end] = [0, start];
+  if (step === 0) throw new RangeError('range() step must not be 0');
+  for (let i = start; step > 0 ? i < end : i > end; i += step) yield i;
+}
+
+// The chunks of a WHATWG ReadableStream, e.g. a fetch() response body.
+// Stopping early cancels the stream.
+export async function* fromReadableStream(stream) {
+  const reader = stream.getReader();
+  let done = false;
+  try {
+    while (true) {
+      const result = await reader.read();
+      if ((done = result.done)) return;
+      yield result.value;
+    }
+  } finally {
+    if (!done) await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+}
+
+// The value of a promise, or its rejection
+export async function* fromPromise(promise) {
+  yield await promise;
+}
+
+// Call factory() each time the stream is iterated and emit what it returns:
+// a value, a promise, an async iterable or a pipeline token
+export function defer(factory) {
+  return { [Symbol.asyncIterator]: () => innerStream(factory) };
 }
 
 // Helper to create an event stream generator
@@ -71,10 +1363,10 @@ export async function* eventStream(events) {
 }
 
 // Helper to create a simulated mouse event stream
-export async function* mouseEventStream(events, delay = 0) {
+export async function* mouseEventStream(events, delay = 0, scheduler = realScheduler) {
   for (const event of events) {
     if (delay > 0) {
-      await new Promise((resolve) => setTimeout(resolve, delay));
+      await new Promise((resolve) => scheduler.setTimeout(resolve, delay));
     }
     yield event;
   }
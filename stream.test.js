@@ -4,8 +4,24 @@ import {
   eventStream,
   mouseEventStream,
   collect,
+  TimeoutError,
+  broadcast,
+  createQueue,
+  QueueOverflowError,
+  fromEvent,
+  interval,
+  timer,
+  range,
+  fromPromise,
+  defer,
+  fromReadableStream,
+  ParseError,
 } from './stream.js';
+import { createTestScheduler } from './testing.js';
+import { counted } from './fixtures.js';
 import { strict as assert } from 'node:assert';
+import { EventEmitter, getEventListeners, setMaxListeners } from 'node:events';
+import { createServer } from 'node:http';
 import { test } from 'node:test';
 
 test('stream map - transforms each item in async generator', async () => {
@@ -376,3 +392,1344 @@ test('mouse click composable - double click detection', async () => {
   assert.equal(doubleClicks[0].timestamp, 150);
   assert.equal(doubleClicks[1].timestamp, 600);
 });
+
+test('aborting the run signal terminates an endless stream and closes the source', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map, filter, take } = createStreamPipes(asPipe);
+  const controller = new AbortController();
+  let closed = false;
+
+  async function* numbers() {
+    try {
+      let i = 0;
+      while (true) yield i++;
+    } finally {
+      closed = true;
+    }
+  }
+
+  let result;
+  (result = pipe(numbers())) |
+    map((x) => x * 2) |
+    filter((x) => x % 4 === 0) |
+    take(Infinity);
+
+  const stream = await result.run({ signal: controller.signal });
+  const seen = [];
+  await assert.rejects(
+    async () => {
+      for await (const item of stream) {
+        seen.push(item);
+        if (seen.length === 3) controller.abort();
+      }
+    },
+    { name: 'AbortError' },
+  );
+
+  assert.deepEqual(seen, [0, 4, 8]);
+  assert.equal(closed, true);
+});
+
+test('aborting releases a stream blocked waiting on its source', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map } = createStreamPipes(asPipe);
+  const controller = new AbortController();
+
+  async function* never() {
+    yield 1;
+    await new Promise(() => {});
+  }
+
+  let result;
+  (result = pipe(never())) | map((x) => x + 1);
+  const stream = await result.run({ signal: controller.signal });
+
+  setTimeout(() => controller.abort(), 5);
+  await assert.rejects(collect(stream), { name: 'AbortError' });
+});
+
+test('stream take stops pulling from the source after n items', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { take } = createStreamPipes(asPipe);
+  let pulled = 0;
+
+  async function* numbers() {
+    while (true) yield ++pulled;
+  }
+
+  let result;
+  (result = pipe(numbers())) | take(3);
+  const items = await collect(await result.run());
+
+  assert.deepEqual(items, [1, 2, 3]);
+  assert.equal(pulled, 3);
+});
+
+test('debounceTime emits an item once the source is quiet for ms', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { debounceTime } = createStreamPipes(asPipe, { scheduler });
+
+  let result;
+  (result = pipe(scheduler.cold('ab----cd|'))) | debounceTime(20);
+
+  await scheduler.expectStream(await result.run(), '---b----(d|)');
+});
+
+test('throttleTime emits leading items and optionally the trailing one', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { throttleTime } = createStreamPipes(asPipe, { scheduler });
+  const source = scheduler.cold('abc-d--e|');
+
+  let leading;
+  (leading = pipe(source)) | throttleTime(30);
+  await scheduler.expectStream(await leading.run(), 'a---d--e|');
+
+  let trailing;
+  (trailing = pipe(source)) | throttleTime(30, { trailing: true });
+  await scheduler.expectStream(await trailing.run(), 'a--c--d-(e|)');
+});
+
+test('delay shifts every item later in time', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { delay } = createStreamPipes(asPipe, { scheduler });
+
+  let result;
+  (result = pipe(scheduler.cold('a-b----c|'))) | delay(20);
+
+  await scheduler.expectStream(await result.run(), '--a-b----(c|)');
+});
+
+test('timeout fails when the source is silent for too long', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { timeout } = createStreamPipes(asPipe, { scheduler });
+  let closed = false;
+
+  async function* source() {
+    try {
+      yield* scheduler.cold('a-b------c|');
+    } finally {
+      closed = true;
+    }
+  }
+
+  let result;
+  (result = pipe(source())) | timeout(30);
+  const events = await scheduler.expectStream(await result.run(), 'a-b--#');
+
+  assert.ok(events.at(-1).value instanceof TimeoutError);
+  // The source closes once its pending wait resumes
+  await scheduler.advanceBy(100);
+  assert.equal(closed, true);
+});
+
+test('sample emits the latest item on every tick', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { sample } = createStreamPipes(asPipe, { scheduler });
+
+  let result;
+  (result = pipe(scheduler.cold('a-b---c-d|'))) | sample(20);
+
+  await scheduler.expectStream(await result.run(), '--a-b-c-d|');
+});
+
+test('double click detection on virtual time', async () => {
+  const scheduler = createTestScheduler({ frame: 50 });
+  const { pipe, asPipe } = createAsPipes();
+  const { map, scan, filter } = createStreamPipes(asPipe);
+
+  // Clicks 50ms apart are a double click, 250ms or more apart are not
+  const trackDoubleClicks = (state, click) => ({
+    time: click.time,
+    isDouble: click.time - state.time < 250,
+  });
+
+  let result;
+  (result = pipe(scheduler.cold('cc----c-----c-c|'))) |
+    map(() => ({ time: scheduler.now() })) |
+    scan(trackDoubleClicks, { time: -Infinity }) |
+    filter((state) => state.isDouble) |
+    map(() => 'd');
+
+  await scheduler.expectStream(await result.run(), '-d------------d|');
+});
+
+// Wrap a source to record when it is closed
+async function* tracked(source, closed, name) {
+  try {
+    yield* source;
+  } finally {
+    closed.push(name);
+  }
+}
+
+test('merge interleaves items from every source', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { merge } = createStreamPipes(asPipe, { scheduler });
+
+  let result;
+  (result = pipe(scheduler.cold('a---b|'))) |
+    merge(scheduler.cold('-c-d---|'), scheduler.cold('--e|'));
+
+  await scheduler.expectStream(await result.run(), 'acedb--|');
+});
+
+test('concat plays the sources one after the other', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { concat } = createStreamPipes(asPipe, { scheduler });
+
+  let result;
+  (result = pipe(scheduler.cold('a-b|'))) | concat(scheduler.cold('c-d|'), [1, 2]);
+
+  await scheduler.expectStream(await result.run(), 'a-bc-d(12|)', { 1: 1, 2: 2 });
+});
+
+test('concat closes sources that never got their turn', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { concat, take } = createStreamPipes(asPipe);
+  const closed = [];
+  const second = eventStream([4]);
+
+  let result;
+  (result = pipe(tracked(eventStream([1, 2, 3]), closed, 'first'))) |
+    concat(second) |
+    take(2);
+
+  assert.deepEqual(await collect(await result.run()), [1, 2]);
+  assert.deepEqual(closed, ['first']);
+  assert.deepEqual(await second.next(), { value: undefined, done: true });
+});
+
+test('zip pairs items by index and stops with the shortest source', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { zip } = createStreamPipes(asPipe);
+  const closed = [];
+
+  let result;
+  (result = pipe(tracked(eventStream([1, 2, 3]), closed, 'numbers'))) |
+    zip(tracked(eventStream(['a', 'b']), closed, 'letters'), [true, false, true]);
+
+  assert.deepEqual(await collect(await result.run()), [
+    [1, 'a', true],
+    [2, 'b', false],
+  ]);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(closed.sort(), ['letters', 'numbers']);
+});
+
+test('combineLatest emits the latest items once every source has emitted', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { combineLatest, map } = createStreamPipes(asPipe, { scheduler });
+
+  let result;
+  (result = pipe(scheduler.cold('a--b---|'))) |
+    combineLatest(scheduler.cold('-1---2|')) |
+    map((pair) => pair.join(''));
+
+  await scheduler.expectStream(await result.run(), '-x-y-z-|', { x: 'a1', y: 'b1', z: 'b2' });
+});
+
+test('withLatestFrom adds the latest items of the others to each upstream item', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { withLatestFrom, map } = createStreamPipes(asPipe, { scheduler });
+  const closed = [];
+
+  let result;
+  (result = pipe(scheduler.cold('a-b---c|'))) |
+    withLatestFrom(tracked(scheduler.cold('-1---2----3|'), closed, 'other')) |
+    map((pair) => pair.join(''));
+
+  await scheduler.expectStream(await result.run(), '--x---y|', { x: 'b1', y: 'c2' });
+  // The other source is closed with the upstream, once its pending wait resumes
+  await scheduler.advanceBy(50);
+  assert.deepEqual(closed, ['other']);
+});
+
+test('merge closes every source when one of them fails', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { merge } = createStreamPipes(asPipe, { scheduler });
+  const closed = [];
+
+  let result;
+  (result = pipe(tracked(scheduler.cold('a-----b|'), closed, 'slow'))) |
+    merge(tracked(scheduler.cold('-c#', {}, new Error('boom')), closed, 'failing'));
+
+  await scheduler.expectStream(await result.run(), 'ac#', {}, new Error('boom'));
+  await scheduler.advanceBy(100);
+  assert.deepEqual(closed.sort(), ['failing', 'slow']);
+});
+
+test('merge closes every source when the consumer stops early', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { merge, take } = createStreamPipes(asPipe);
+  const closed = [];
+
+  let result;
+  (result = pipe(tracked(eventStream([1, 2, 3]), closed, 'first'))) |
+    merge(tracked(eventStream([4, 5, 6]), closed, 'second')) |
+    take(2);
+
+  assert.equal((await collect(await result.run())).length, 2);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(closed.sort(), ['first', 'second']);
+});
+
+test('merge lets go of the run signal for sources that have completed', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { merge } = createStreamPipes(asPipe, { scheduler });
+  const controller = new AbortController();
+  setMaxListeners(50, controller.signal);
+
+  let result;
+  (result = pipe(scheduler.cold('a-----b|'))) |
+    merge(...Array.from({ length: 20 }, () => scheduler.cold('x|')));
+
+  const events = scheduler.record(await result.run({ signal: controller.signal }));
+  await scheduler.advanceBy(30);
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 1);
+  await scheduler.advanceBy(100);
+  assert.equal((await events).length, 23);
+});
+
+test('flatMap, concatMap, switchMap and exhaustMap flatten inner streams', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const operators = createStreamPipes(asPipe, { scheduler });
+  const values = { p: 'a1', q: 'a2', r: 'b1', s: 'b2' };
+  const inner = (x) => scheduler.cold('1--2|', { 1: `${x}1`, 2: `${x}2` });
+
+  const expected = {
+    flatMap: 'p-rq-s|',
+    concatMap: 'p--qr--s|',
+    switchMap: 'p-r--s|',
+    exhaustMap: 'p--q|',
+  };
+  for (const [name, marbles] of Object.entries(expected)) {
+    let result;
+    (result = pipe(scheduler.cold('a-b|'))) | operators[name](inner);
+    await scheduler.expectStream(await result.run(), marbles, values);
+  }
+});
+
+test('flatMap accepts values, promises and pipeline tokens', async () => {
+  const { pipe, asPipe, take } = createAsPipes();
+  const { flatMap } = createStreamPipes(asPipe);
+  const double = asPipe((x) => x * 2);
+
+  let result;
+  (result = pipe(eventStream([1, 2, 3]))) |
+    flatMap((x) => x) |
+    flatMap((x) => Promise.resolve(x * 10)) |
+    flatMap((x) => take(pipe(x) | double));
+
+  assert.deepEqual(await collect(await result.run()), [20, 40, 60]);
+});
+
+test('flatMap runs at most concurrency inners at a time', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { flatMap } = createStreamPipes(asPipe, { scheduler });
+  let running = 0;
+  let peak = 0;
+
+  async function* inner(x) {
+    peak = Math.max(peak, ++running);
+    try {
+      yield* scheduler.cold('--x|', { x });
+    } finally {
+      running--;
+    }
+  }
+
+  let result;
+  (result = pipe(eventStream([1, 2, 3, 4, 5]))) | flatMap(inner, { concurrency: 2 });
+
+  await scheduler.expectStream(await result.run(), '--(12)--(34)--5|', { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5 });
+  assert.equal(peak, 2);
+});
+
+test('concatMap lets go of the run signal for each inner that completes', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { concatMap } = createStreamPipes(asPipe);
+  const controller = new AbortController();
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning.name);
+  process.on('warning', onWarning);
+
+  let result;
+  (result = pipe(range(0, 50))) | concatMap((x) => [x]);
+
+  try {
+    assert.equal((await collect(await result.run({ signal: controller.signal }))).length, 50);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(warnings, []);
+  } finally {
+    process.off('warning', onWarning);
+  }
+});
+
+test('switchMap aborts the run of the inner pipeline it replaces', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe, take } = createAsPipes();
+  const { switchMap } = createStreamPipes(asPipe, { scheduler });
+  const signals = [];
+
+  // An autocomplete lookup that takes 30ms
+  const lookup = asPipe(async function (query) {
+    signals.push(this.signal);
+    await new Promise((resolve) => scheduler.setTimeout(resolve, 30));
+    return query.toUpperCase();
+  });
+
+  let result;
+  (result = pipe(scheduler.cold('a-b----|'))) | switchMap((q) => take(pipe(q) | lookup));
+
+  await scheduler.expectStream(await result.run(), '-----B-|');
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[1].aborted, false);
+});
+
+test('flatMap fails with the first inner error and closes the upstream', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { flatMap } = createStreamPipes(asPipe);
+  const closed = [];
+
+  let result;
+  (result = pipe(tracked(eventStream([1, 2, 3]), closed, 'source'))) |
+    flatMap((x) => {
+      if (x === 2) throw new Error('no twos');
+      return x;
+    });
+
+  await assert.rejects(collect(await result.run()), /no twos/);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(closed, ['source']);
+});
+
+test('mapConcurrent keeps the input order unless told otherwise', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { mapConcurrent } = createStreamPipes(asPipe, { scheduler });
+  const durations = { a: 30, b: 10, c: 20 };
+  const work = (x) =>
+    new Promise((resolve) => scheduler.setTimeout(() => resolve(x.toUpperCase()), durations[x]));
+
+  let ordered;
+  (ordered = pipe(eventStream(['a', 'b', 'c']))) | mapConcurrent(work, { concurrency: 3 });
+  await scheduler.expectStream(await ordered.run(), '---(ABC|)');
+
+  let unordered;
+  (unordered = pipe(eventStream(['a', 'b', 'c']))) |
+    mapConcurrent(work, { concurrency: 3, ordered: false });
+  await scheduler.expectStream(await unordered.run(), '-BC(A|)');
+});
+
+test('mapConcurrent bounds the calls in flight and the items read ahead', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { mapConcurrent } = createStreamPipes(asPipe, { scheduler });
+  let pulled = 0;
+  let running = 0;
+  let peak = 0;
+
+  async function* source() {
+    for (let i = 1; i <= 6; i++) {
+      pulled++;
+      yield i;
+    }
+  }
+  const work = async (x) => {
+    peak = Math.max(peak, ++running);
+    await new Promise((resolve) => scheduler.setTimeout(resolve, 10));
+    running--;
+    return x;
+  };
+
+  let result;
+  (result = pipe(source())) | mapConcurrent(work, { concurrency: 2 });
+  const stream = (await result.run())[Symbol.asyncIterator]();
+
+  const first = stream.next();
+  await scheduler.advanceBy(100);
+  assert.deepEqual(await first, { value: 1, done: false });
+  // Nothing more is read while the consumer holds on to item 1
+  assert.equal(pulled, 2);
+  assert.equal(peak, 2);
+
+  const rest = collect({ [Symbol.asyncIterator]: () => stream });
+  await scheduler.advanceBy(100);
+  assert.deepEqual(await rest, [2, 3, 4, 5, 6]);
+  assert.equal(peak, 2);
+});
+
+test('mapConcurrent reads at most 4 items ahead by default', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { mapConcurrent } = createStreamPipes(asPipe);
+  let pulled = 0;
+  let release;
+  const slow = new Promise((resolve) => (release = resolve));
+
+  async function* source() {
+    for (let i = 0; i < 100; i++) {
+      pulled++;
+      yield i;
+    }
+  }
+
+  let result;
+  (result = pipe(source())) | mapConcurrent(async (x) => (x === 0 ? slow : x));
+  const stream = (await result.run())[Symbol.asyncIterator]();
+
+  // Item 0 holds up the ordered output while the others are done
+  const first = stream.next();
+  for (let i = 0; i < 20; i++) await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(pulled, 4);
+  release(0);
+  assert.deepEqual(await first, { value: 0, done: false });
+  await stream.return();
+});
+
+test('mapConcurrent fails with the first error and aborts the calls in flight', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { mapConcurrent } = createStreamPipes(asPipe, { scheduler });
+  const signals = [];
+  const closed = [];
+
+  const work = (x, { signal }) => {
+    signals.push(signal);
+    return new Promise((resolve, reject) =>
+      scheduler.setTimeout(() => (x === 2 ? reject(new Error('failed 2')) : resolve(x)), x * 10),
+    );
+  };
+
+  let result;
+  (result = pipe(tracked(eventStream([3, 2, 1]), closed, 'source'))) |
+    mapConcurrent(work, { concurrency: 3 });
+
+  await scheduler.expectStream(await result.run(), '--#', {}, new Error('failed 2'));
+  await scheduler.advanceBy(100);
+  assert.equal(signals.length, 3);
+  assert.ok(signals.every((signal) => signal.aborted));
+  assert.deepEqual(closed, ['source']);
+});
+
+test('bufferCount emits arrays of n items, overlapping with a step', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { bufferCount } = createStreamPipes(asPipe);
+
+  let chunks;
+  (chunks = pipe(eventStream([1, 2, 3, 4, 5]))) | bufferCount(2);
+  assert.deepEqual(await collect(await chunks.run()), [[1, 2], [3, 4], [5]]);
+
+  let sliding;
+  (sliding = pipe(eventStream([1, 2, 3, 4]))) | bufferCount(3, 1);
+  assert.deepEqual(await collect(await sliding.run()), [[1, 2, 3], [2, 3, 4], [3, 4], [4]]);
+});
+
+test('bufferTime emits the items of every time window', async () => {
+  const scheduler = createTestScheduler({ frame: 100 });
+  const { pipe, asPipe } = createAsPipes();
+  const { bufferTime, map } = createStreamPipes(asPipe, { scheduler });
+
+  // Events per 300ms, like a per-second counter
+  let result;
+  (result = pipe(scheduler.cold('abc----d|'))) | bufferTime(300) | map((events) => events.length);
+
+  await scheduler.expectStream(await result.run(), '---x--y-(z|)', { x: 3, y: 0, z: 1 });
+});
+
+test('bufferWhen closes a buffer on the item matching the predicate', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { bufferWhen } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream([1, 2, 0, 3, 0, 4]))) | bufferWhen((x) => x === 0);
+
+  assert.deepEqual(await collect(await result.run()), [[1, 2, 0], [3, 0], [4]]);
+});
+
+test('pairwise emits each item with the one before it', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { pairwise, map } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream([1, 4, 9]))) | pairwise() | map(([a, b]) => b - a);
+
+  assert.deepEqual(await collect(await result.run()), [3, 5]);
+});
+
+test('windowCount emits sub-streams of n items', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { windowCount } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream([1, 2, 3, 4, 5]))) | windowCount(2);
+  const windows = await collect(await result.run());
+
+  assert.deepEqual(await Promise.all(windows.map(collect)), [[1, 2], [3, 4], [5]]);
+});
+
+test('groupBy emits a keyed sub-stream per group', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { groupBy, flatMap } = createStreamPipes(asPipe);
+  const events = [
+    { type: 'click', x: 1 },
+    { type: 'move', x: 2 },
+    { type: 'move', x: 3 },
+    { type: 'click', x: 4 },
+    { type: 'move', x: 5 },
+  ];
+
+  let result;
+  (result = pipe(eventStream(events))) |
+    groupBy((e) => e.type) |
+    flatMap(async (group) => ({ key: group.key, xs: (await collect(group)).map((e) => e.x) }));
+
+  assert.deepEqual(await collect(await result.run()), [
+    { key: 'click', xs: [1, 4] },
+    { key: 'move', xs: [2, 3, 5] },
+  ]);
+});
+
+test('windowCount and groupBy sub-streams can be read one after the other', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { windowCount, groupBy } = createStreamPipes(asPipe);
+
+  let windowed;
+  (windowed = pipe(eventStream([1, 2, 3, 4, 5]))) | windowCount(2);
+  const windows = [];
+  for await (const window of await windowed.run()) windows.push(await collect(window));
+  assert.deepEqual(windows, [[1, 2], [3, 4], [5]]);
+
+  let grouped;
+  (grouped = pipe(eventStream([1, 2, 3, 4, 5]))) | groupBy(async (x) => x % 2);
+  const groups = [];
+  for await (const group of await grouped.run()) groups.push([group.key, await collect(group)]);
+  assert.deepEqual(groups, [
+    [1, [1, 3, 5]],
+    [0, [2, 4]],
+  ]);
+});
+
+test('groupBy fails the open groups when the source fails', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { groupBy } = createStreamPipes(asPipe);
+
+  async function* source() {
+    yield 1;
+    throw new Error('source failed');
+  }
+
+  let result;
+  (result = pipe(source())) | groupBy((x) => x % 2);
+  const stream = (await result.run())[Symbol.asyncIterator]();
+  const { value: odd } = await stream.next();
+
+  await assert.rejects(stream.next(), /source failed/);
+  await assert.rejects(collect(odd), /source failed/);
+});
+
+test('skip, takeWhile and skipWhile slice the stream', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { skip, takeWhile, skipWhile } = createStreamPipes(asPipe);
+  const numbers = () => eventStream([1, 2, 3, 4, 1, 2]);
+
+  let skipped;
+  (skipped = pipe(numbers())) | skip(4);
+  assert.deepEqual(await collect(await skipped.run()), [1, 2]);
+
+  let taken;
+  (taken = pipe(numbers())) | takeWhile((x) => x < 3);
+  assert.deepEqual(await collect(await taken.run()), [1, 2]);
+
+  let rest;
+  (rest = pipe(numbers())) | skipWhile((x) => x < 3);
+  assert.deepEqual(await collect(await rest.run()), [3, 4, 1, 2]);
+});
+
+test('takeUntil completes when another stream emits', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { takeUntil } = createStreamPipes(asPipe, { scheduler });
+  const closed = [];
+
+  let result;
+  (result = pipe(tracked(scheduler.cold('a-b-c-d|'), closed, 'source'))) |
+    takeUntil(tracked(scheduler.cold('-----x|'), closed, 'notifier'));
+
+  await scheduler.expectStream(await result.run(), 'a-b-c|');
+  await scheduler.advanceBy(100);
+  assert.deepEqual(closed.sort(), ['notifier', 'source']);
+});
+
+test('takeUntil completes when a signal aborts', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { takeUntil } = createStreamPipes(asPipe, { scheduler });
+  const controller = new AbortController();
+  scheduler.setTimeout(() => controller.abort(), 25);
+
+  let result;
+  (result = pipe(scheduler.cold('a-b-c-d|'))) | takeUntil(controller.signal);
+
+  await scheduler.expectStream(await result.run(), 'a-b|');
+});
+
+test('terminal operators resolve the run to a value', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { first, last, find, some, every, elementAt } = createStreamPipes(asPipe);
+  const run = async (step) => {
+    let result;
+    (result = pipe(eventStream([1, 2, 3, 4]))) | step;
+    return result.run();
+  };
+
+  assert.equal(await run(first()), 1);
+  assert.equal(await run(first((x) => x > 2)), 3);
+  assert.equal(await run(last()), 4);
+  assert.equal(await run(last((x) => x < 3)), 2);
+  assert.equal(await run(find((x) => x % 2 === 0)), 2);
+  assert.equal(await run(find((x) => x > 10)), undefined);
+  assert.equal(await run(some((x) => x > 3)), true);
+  assert.equal(await run(some((x) => x > 4)), false);
+  assert.equal(await run(every((x) => x > 0)), true);
+  assert.equal(await run(every((x) => x < 4)), false);
+  assert.equal(await run(elementAt(2)), 3);
+  assert.equal(await run(elementAt(9, 'none')), 'none');
+});
+
+test('terminal operators stop reading once they have an answer', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { some } = createStreamPipes(asPipe);
+  const closed = [];
+  let pulled = 0;
+
+  async function* endless() {
+    while (true) yield ++pulled;
+  }
+
+  let result;
+  (result = pipe(tracked(endless(), closed, 'source'))) | some((x) => x === 3);
+
+  assert.equal(await result.run(), true);
+  assert.equal(pulled, 3);
+  assert.deepEqual(closed, ['source']);
+});
+
+test('share lets several pipelines read one source', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { share, map, filter } = createStreamPipes(asPipe, { scheduler });
+  let started = 0;
+
+  async function* drags() {
+    started++;
+    yield* scheduler.cold('-1-2-3|', { 1: 1, 2: 2, 3: 3 });
+  }
+
+  let shared;
+  (shared = pipe(drags())) | share();
+  const source = await shared.run();
+
+  let doubled;
+  (doubled = pipe(source)) | map((x) => x * 2);
+  let odd;
+  (odd = pipe(source)) | filter((x) => x % 2);
+
+  const results = Promise.all([collect(await doubled.run()), collect(await odd.run())]);
+  await scheduler.advanceBy(100);
+
+  assert.deepEqual(await results, [[2, 4, 6], [1, 3]]);
+  assert.equal(started, 1);
+});
+
+test('broadcast stops the source when the last subscriber leaves', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const closed = [];
+  const shared = broadcast(tracked(scheduler.cold('-a-b-c-d|'), closed, 'source'));
+  const readFirst = async (n) => {
+    const items = [];
+    for await (const item of shared) if (items.push(item) >= n) break;
+    return items;
+  };
+
+  const one = readFirst(1);
+  const three = readFirst(3);
+  await scheduler.advanceBy(20);
+  assert.deepEqual(await one, ['a']);
+  assert.deepEqual(closed, []);
+
+  await scheduler.advanceBy(100);
+  assert.deepEqual(await three, ['a', 'b', 'c']);
+  assert.deepEqual(closed, ['source']);
+});
+
+test('shareReplay replays the latest items to late subscribers', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { shareReplay } = createStreamPipes(asPipe, { scheduler });
+
+  let shared;
+  (shared = pipe(scheduler.cold('abc-d|'))) | shareReplay(2);
+  const source = await shared.run();
+
+  const early = collect(source);
+  await scheduler.advanceBy(20);
+  const late = collect(source);
+  await scheduler.advanceBy(100);
+
+  assert.deepEqual(await early, ['a', 'b', 'c', 'd']);
+  assert.deepEqual(await late, ['b', 'c', 'd']);
+  // After completion, subscribers get the replay and the completion
+  assert.deepEqual(await collect(source), ['c', 'd']);
+});
+
+test('broadcast fails every subscriber when the source fails', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const shared = broadcast(scheduler.cold('-a-#', {}, new Error('lost connection')));
+
+  const failures = Promise.all([
+    assert.rejects(collect(shared), /lost connection/),
+    assert.rejects(collect(shared), /lost connection/),
+  ]);
+  await scheduler.advanceBy(100);
+  await failures;
+});
+
+test('createQueue applies its strategy when full and counts dropped items', async () => {
+  const drain = async (strategy) => {
+    const queue = createQueue({ size: 2, strategy });
+    [1, 2, 3, 4].forEach((item) => queue.push(item));
+    queue.end();
+    return [await collect(queue), queue.metrics];
+  };
+
+  assert.deepEqual(await drain('dropOldest'), [[3, 4], { pushed: 4, dropped: 2, maxLength: 2 }]);
+  assert.deepEqual(await drain('dropNewest'), [[1, 2], { pushed: 4, dropped: 2, maxLength: 2 }]);
+
+  const overflowing = createQueue({ size: 2, strategy: 'error' });
+  [1, 2, 3].forEach((item) => overflowing.push(item));
+  const items = [];
+  await assert.rejects(async () => {
+    for await (const item of overflowing) items.push(item);
+  }, QueueOverflowError);
+  assert.deepEqual(items, [1, 2]);
+});
+
+test('createQueue blocks producers until the consumer makes room', async () => {
+  const queue = createQueue({ size: 1 });
+  let accepted = false;
+
+  queue.push('a');
+  queue.push('b').then(() => (accepted = true));
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(accepted, false);
+  assert.equal(queue.length, 1);
+  assert.equal(queue.waiting, 1);
+
+  const items = queue[Symbol.asyncIterator]();
+  assert.deepEqual(await items.next(), { value: 'a', done: false });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(accepted, true);
+  assert.equal(queue.length, 1);
+  assert.equal(queue.waiting, 0);
+});
+
+test('buffer with the block strategy stops reading when full', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { buffer } = createStreamPipes(asPipe);
+  const source = counted(10);
+
+  let result;
+  (result = pipe(source)) | buffer({ size: 2 });
+  const stream = (await result.run())[Symbol.asyncIterator]();
+
+  assert.deepEqual(await stream.next(), { value: 1, done: false });
+  await new Promise((resolve) => setImmediate(resolve));
+  // Two items queued and one waiting to be pushed
+  assert.equal(source.pulled, 4);
+
+  assert.deepEqual(await collect({ [Symbol.asyncIterator]: () => stream }), [2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test('buffer with a drop strategy keeps reading and drops items', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { buffer } = createStreamPipes(asPipe);
+  const dropped = [];
+
+  let result;
+  (result = pipe(counted(10))) |
+    buffer({ size: 2, strategy: 'dropOldest', onDrop: (item) => dropped.push(item) });
+  const stream = (await result.run())[Symbol.asyncIterator]();
+
+  // The consumer holds on to the first item while the source runs ahead
+  assert.deepEqual(await stream.next(), { value: 1, done: false });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(await collect({ [Symbol.asyncIterator]: () => stream }), [9, 10]);
+  assert.deepEqual(dropped, [2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('buffer with the error strategy fails once the queue overflows', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { buffer } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(counted(5))) | buffer({ size: 2, strategy: 'error' });
+  const stream = (await result.run())[Symbol.asyncIterator]();
+
+  assert.deepEqual(await stream.next(), { value: 1, done: false });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(await stream.next(), { value: 2, done: false });
+  assert.deepEqual(await stream.next(), { value: 3, done: false });
+  await assert.rejects(stream.next(), QueueOverflowError);
+});
+
+test('fromEvent reads an EventTarget and removes its listener on return', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map, take } = createStreamPipes(asPipe);
+  const target = new EventTarget();
+  const removed = [];
+  const remove = target.removeEventListener.bind(target);
+  target.removeEventListener = (name, listener) => (removed.push(name), remove(name, listener));
+
+  let result;
+  (result = pipe(fromEvent(target, 'click'))) | map((e) => e.detail) | take(2);
+  const clicks = collect(await result.run());
+
+  await new Promise((resolve) => setImmediate(resolve));
+  [1, 2, 3].forEach((detail) => target.dispatchEvent(Object.assign(new Event('click'), { detail })));
+
+  assert.deepEqual(await clicks, [1, 2]);
+  assert.deepEqual(removed, ['click']);
+});
+
+test('fromEvent reads an EventEmitter', async () => {
+  const emitter = new EventEmitter();
+  const items = [];
+  const reading = (async () => {
+    for await (const line of fromEvent(emitter, 'line')) {
+      items.push(line);
+      if (line === 'quit') break;
+    }
+  })();
+
+  await new Promise((resolve) => setImmediate(resolve));
+  emitter.emit('line', 'hello');
+  emitter.emit('line', 'quit');
+  await reading;
+
+  assert.deepEqual(items, ['hello', 'quit']);
+  assert.equal(emitter.listenerCount('line'), 0);
+});
+
+test('fromEvent keeps a bounded backlog by dropping the oldest events', async () => {
+  const emitter = new EventEmitter();
+  const dropped = [];
+  const events = fromEvent(emitter, 'n', { size: 2, onDrop: (n) => dropped.push(n) });
+  const it = events[Symbol.asyncIterator]();
+
+  const first = it.next();
+  for (let i = 0; i < 1000; i++) emitter.emit('n', i);
+
+  assert.deepEqual(await first, { value: 998, done: false });
+  assert.deepEqual(await it.next(), { value: 999, done: false });
+  assert.equal(dropped.length, 998);
+  await it.return();
+  assert.equal(emitter.listenerCount('n'), 0);
+
+  await assert.rejects(fromEvent(emitter, 'n', { size: 2, strategy: 'block' }).next(), TypeError);
+});
+
+test('interval and timer emit on the scheduler', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { take } = createStreamPipes(asPipe);
+
+  let ticks;
+  (ticks = pipe(interval(20, scheduler))) | take(3);
+  await scheduler.expectStream(await ticks.run(), '--0-1-(2|)', { 0: 0, 1: 1, 2: 2 });
+
+  await scheduler.expectStream(timer(30, scheduler), '---(0|)', { 0: 0 });
+});
+
+test('range counts from start to end by step', async () => {
+  assert.deepEqual(await collect(range(4)), [0, 1, 2, 3]);
+  assert.deepEqual(await collect(range(2, 10, 3)), [2, 5, 8]);
+  assert.deepEqual(await collect(range(3, 0, -1)), [3, 2, 1]);
+});
+
+test('fromPromise emits the resolved value or fails', async () => {
+  assert.deepEqual(await collect(fromPromise(Promise.resolve(42))), [42]);
+  await assert.rejects(collect(fromPromise(Promise.reject(new Error('nope')))), /nope/);
+});
+
+test('defer creates the source anew for every iteration', async () => {
+  const { pipe, asPipe, take } = createAsPipes();
+  const { repeat } = createStreamPipes(asPipe);
+  let calls = 0;
+  const double = asPipe((x) => x * 2);
+
+  const page = defer(() => Promise.resolve(++calls));
+  assert.deepEqual(await collect(page), [1]);
+  assert.deepEqual(await collect(page), [2]);
+
+  let result;
+  (result = pipe(defer(() => take(pipe(calls) | double)))) | repeat(3);
+  assert.deepEqual(await collect(await result.run()), [4, 4, 4]);
+});
+
+test('repeat stops when a pass emits nothing', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { repeat } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream([1, 2]))) | repeat();
+
+  // A generator can only be read once, so the second pass is empty
+  assert.deepEqual(await collect(await result.run()), [1, 2]);
+});
+
+// A ReadableStream of the given chunks that notes when it is cancelled
+function readableOf(chunks, events = []) {
+  let i = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (i < chunks.length) controller.enqueue(chunks[i++]);
+      else controller.close();
+    },
+    cancel: () => events.push('cancelled'),
+  });
+}
+
+test('pipe() accepts a ReadableStream', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map, take } = createStreamPipes(asPipe);
+  const events = [];
+
+  let result;
+  (result = pipe(readableOf([1, 2, 3, 4], events))) | map((x) => x * 2) | take(2);
+
+  assert.deepEqual(await collect(await result.run()), [2, 4]);
+  assert.deepEqual(events, ['cancelled']);
+});
+
+test('ReadableStreams without async iteration are read through a reader', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { map } = createStreamPipes(asPipe);
+  const stream = readableOf(['a', 'b']);
+  // As in runtimes where ReadableStream is not async iterable
+  stream[Symbol.asyncIterator] = undefined;
+
+  let result;
+  (result = pipe(stream)) | map((s) => s.toUpperCase());
+
+  assert.deepEqual(await collect(await result.run()), ['A', 'B']);
+  assert.equal(stream.locked, false);
+});
+
+test('fromReadableStream cancels the stream when stopped early', async () => {
+  const events = [];
+  for await (const chunk of fromReadableStream(readableOf([1, 2, 3], events))) {
+    if (chunk === 2) break;
+  }
+  assert.deepEqual(events, ['cancelled']);
+});
+
+test('toReadableStream reads the stream as it is consumed', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { toReadableStream } = createStreamPipes(asPipe);
+  const closed = [];
+  let pulled = 0;
+
+  async function* numbers() {
+    while (true) yield ++pulled;
+  }
+
+  let result;
+  (result = pipe(tracked(numbers(), closed, 'numbers'))) | toReadableStream({ highWaterMark: 1 });
+  const stream = await result.run();
+  assert.ok(stream instanceof ReadableStream);
+
+  const reader = stream.getReader();
+  assert.deepEqual(await reader.read(), { value: 1, done: false });
+  assert.deepEqual(await reader.read(), { value: 2, done: false });
+  assert.ok(pulled <= 3, `read ${pulled} items`);
+
+  await reader.cancel();
+  assert.deepEqual(closed, ['numbers']);
+});
+
+test('toReadableStream errors when the stream fails', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { toReadableStream } = createStreamPipes(asPipe);
+
+  async function* broken() {
+    yield 'a';
+    throw new Error('source broke');
+  }
+
+  let result;
+  (result = pipe(broken())) | toReadableStream();
+  const reader = (await result.run()).getReader();
+
+  assert.deepEqual(await reader.read(), { value: 'a', done: false });
+  await assert.rejects(reader.read(), /source broke/);
+});
+
+test('through sends the stream through a TransformStream', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { through, reduce } = createStreamPipes(asPipe);
+  // 'é' is two bytes, split across chunks
+  const bytes = new TextEncoder().encode('café!');
+  const chunks = [bytes.slice(0, 4), bytes.slice(4)];
+
+  let result;
+  (result = pipe(eventStream(chunks))) |
+    through(new TextDecoderStream()) |
+    through(
+      new TransformStream({
+        transform: (chunk, controller) => controller.enqueue(chunk.toUpperCase()),
+      }),
+    ) |
+    reduce((text, chunk) => text + chunk, '');
+
+  assert.equal(await result.run(), 'CAFÉ!');
+});
+
+test('through fails when the stream or the TransformStream fails', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { through } = createStreamPipes(asPipe);
+
+  async function* broken() {
+    yield 'a';
+    throw new Error('source broke');
+  }
+
+  let failingSource;
+  (failingSource = pipe(broken())) | through(new TransformStream());
+  await assert.rejects(collect(await failingSource.run()), /source broke/);
+
+  const closed = [];
+  let failingTransform;
+  (failingTransform = pipe(tracked(eventStream([1, 2, 3]), closed, 'source'))) |
+    through(
+      new TransformStream({
+        transform: (chunk) => {
+          throw new Error(`cannot transform ${chunk}`);
+        },
+      }),
+    );
+  await assert.rejects(collect(await failingTransform.run()), /cannot transform 1/);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(closed, ['source']);
+});
+
+test('decodeText keeps characters split across chunks intact', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { decodeText } = createStreamPipes(asPipe);
+  const bytes = new TextEncoder().encode('größer');
+  // Split every byte into its own chunk, cutting both ö and ß in half
+  const chunks = [...bytes].map((byte) => new Uint8Array([byte]));
+
+  let result;
+  (result = pipe(eventStream(chunks))) | decodeText();
+
+  assert.equal((await collect(await result.run())).join(''), 'größer');
+});
+
+test('splitLines splits across chunk boundaries', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { splitLines } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream(['first li', 'ne\r', '\nsecond\n\nthi', 'rd']))) | splitLines();
+
+  assert.deepEqual(await collect(await result.run()), ['first line', 'second', '', 'third']);
+});
+
+test('parseNDJSON and stringifyNDJSON round trip values', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { parseNDJSON, stringifyNDJSON, filter } = createStreamPipes(asPipe);
+  const records = [{ level: 'info', n: 1 }, { level: 'error', n: 2 }, { level: 'error', n: 3 }];
+
+  let text;
+  (text = pipe(eventStream(records))) | stringifyNDJSON();
+  const ndjson = (await collect(await text.run())).join('');
+  assert.equal(ndjson.split('\n').length, 4);
+
+  // Re-chunk the text at arbitrary points
+  const chunks = ndjson.match(/.{1,7}/gs);
+  let parsed;
+  (parsed = pipe(eventStream(chunks))) | parseNDJSON() | filter((r) => r.level === 'error');
+  assert.deepEqual(await collect(await parsed.run()), records.slice(1));
+});
+
+test('parseNDJSON reports the line of invalid JSON', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { parseNDJSON } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream(['{"a":1}\n\n{"a":', '2}\n{oops}\n']))) | parseNDJSON();
+
+  await assert.rejects(collect(await result.run()), (error) => {
+    assert.ok(error instanceof ParseError);
+    assert.equal(error.line, 4);
+    assert.match(error.message, /^Invalid JSON: .* on line 4$/);
+    return true;
+  });
+});
+
+test('parseCSV handles quotes, delimiters and newlines across chunks', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { parseCSV } = createStreamPipes(asPipe);
+  const csv = 'name;note\r\nAda;"said ""hi""; left"\r\n\r\nBob;"two\nlines"\nEve;';
+
+  for (const size of [1, 3, csv.length]) {
+    const chunks = csv.match(new RegExp(`.{1,${size}}`, 'gs'));
+    let result;
+    (result = pipe(eventStream(chunks))) | parseCSV({ header: true, delimiter: ';' });
+
+    assert.deepEqual(await collect(await result.run()), [
+      { name: 'Ada', note: 'said "hi"; left' },
+      { name: 'Bob', note: 'two\nlines' },
+      { name: 'Eve', note: '' },
+    ]);
+  }
+});
+
+test('parseCSV yields arrays without a header', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { parseCSV, map, reduce } = createStreamPipes(asPipe);
+
+  let result;
+  (result = pipe(eventStream(['a,1\nb,', '2\nc,3']))) |
+    parseCSV() |
+    map(([, n]) => Number(n)) |
+    reduce((sum, n) => sum + n, 0);
+
+  assert.equal(await result.run(), 6);
+
+  let named;
+  (named = pipe(eventStream(['a,1\n']))) | parseCSV({ header: ['key', 'value'] });
+  assert.deepEqual(await collect(await named.run()), [{ key: 'a', value: '1' }]);
+});
+
+test('parseCSV reports the line of malformed records', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { parseCSV } = createStreamPipes(asPipe);
+  const failure = async (csv, options) => {
+    let result;
+    (result = pipe(eventStream([csv]))) | parseCSV(options);
+    return collect(await result.run()).then(
+      () => assert.fail('expected a ParseError'),
+      (error) => (assert.ok(error instanceof ParseError), error.message),
+    );
+  };
+
+  assert.equal(await failure('a,b\n1,2\n3\n', { header: true }), 'Expected 2 fields, got 1 on line 3');
+  assert.equal(await failure('a\n"multi\nline', {}), 'Unterminated quoted field on line 2');
+  assert.equal(await failure('a\nb"c\n', {}), 'Unexpected quote in a field on line 2');
+  assert.equal(await failure('"a"b\n', {}), 'Unexpected character after a quoted field on line 1');
+});
+
+test('sse parses events across chunk boundaries', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { sse } = createStreamPipes(asPipe);
+  const lines = [
+    ': keep-alive comment',
+    'retry: 3000',
+    'data: first',
+    '',
+    'event: update',
+    'id: 7',
+    'data: line one',
+    'data:line two',
+    '',
+    'data',
+    '',
+    'event: ignored-without-data',
+    '',
+    'data: unfinished',
+  ];
+  const parse = async (lineEnding) => {
+    const bytes = new TextEncoder().encode(lines.join(lineEnding));
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 5) chunks.push(bytes.slice(i, i + 5));
+
+    let result;
+    (result = pipe(eventStream(chunks))) | sse;
+    return collect(await result.run());
+  };
+
+  const expected = [
+    { event: 'message', data: 'first', id: '', retry: 3000 },
+    { event: 'update', data: 'line one\nline two', id: '7', retry: 3000 },
+    { event: 'message', data: '', id: '7', retry: 3000 },
+  ];
+  // Every line ending SSE allows: CRLF, a bare LF and a bare CR
+  for (const lineEnding of ['\r\n', '\n', '\r']) assert.deepEqual(await parse(lineEnding), expected);
+});
+
+// A local stand-in for a streaming chat completions endpoint
+async function chatServer(words) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push(JSON.parse(body));
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    for (const word of words) {
+      const event = `data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`;
+      // Split every event across two writes
+      res.write(event.slice(0, 10));
+      await new Promise((resolve) => setTimeout(resolve, 2));
+      res.write(event.slice(10));
+    }
+    res.end('data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+  return { url, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test('sse and deltaContent stream a chat completion from an HTTP endpoint', async () => {
+  const server = await chatServer(['Snow ', 'on the ', 'peaks']);
+  const { pipe, asPipe } = createAsPipes();
+  const { sse, deltaContent, map } = createStreamPipes(asPipe);
+
+  const postJson = asPipe((url, body) =>
+    fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    }),
+  );
+
+  try {
+    let reply;
+    (reply = pipe(server.url)) |
+      postJson({ model: 'test', stream: true, messages: [] }) |
+      sse |
+      deltaContent |
+      map((token) => token.toUpperCase());
+
+    assert.deepEqual(await collect(await reply.run()), ['SNOW ', 'ON THE ', 'PEAKS']);
+    assert.equal(server.requests[0].stream, true);
+  } finally {
+    await server.close();
+  }
+});
@@ -1,4 +1,4 @@
-import { createAsPipes } from './index.js';
+import { createAsPipes, PipeStepError } from './index.js';
 import { strict as assert } from 'node:assert';
 import { test } from 'node:test';
 
@@ -377,3 +377,961 @@ test('asPipe with object - non-function properties accessible', async () => {
   assert.equal(typeof wrapped.getName, 'function');
 });
 
+
+test('run with aborted signal stops scheduling further steps', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const controller = new AbortController();
+  const calls = [];
+  const first = asPipe((x) => (calls.push('first'), controller.abort(), x + 1));
+  const second = asPipe((x) => (calls.push('second'), x * 2));
+
+  const result = pipe(1);
+  result | first | second;
+
+  await assert.rejects(result.run({ signal: controller.signal }), {
+    name: 'AbortError',
+  });
+  assert.deepEqual(calls, ['first']);
+});
+
+test('run rejects immediately when the signal is already aborted', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  let called = false;
+  const inc = asPipe((x) => ((called = true), x + 1));
+
+  const result = pipe(1);
+  result | inc;
+
+  await assert.rejects(result.run({ signal: AbortSignal.abort() }), {
+    name: 'AbortError',
+  });
+  assert.equal(called, false);
+});
+
+test('asPipe functions receive the run signal as this.signal', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const controller = new AbortController();
+  const readSignal = asPipe(function (x) {
+    return this.signal === controller.signal ? x : null;
+  });
+
+  const inner = asPipe((x) => {
+    const p = pipe(x);
+    p | readSignal;
+    return p;
+  });
+
+  const result = pipe('ok');
+  result | readSignal | inner;
+  assert.equal(await result.run({ signal: controller.signal }), 'ok');
+});
+
+test('failing step rejects with PipeStepError recording index and name', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const fail = asPipe(function explode() {
+    throw new Error('boom');
+  });
+
+  const result = pipe(1);
+  result | inc | inc | fail;
+
+  const error = await result.run().catch((e) => e);
+  assert.ok(error instanceof PipeStepError);
+  assert.equal(error.message, 'boom');
+  assert.equal(error.cause.message, 'boom');
+  assert.equal(error.stepIndex, 2);
+  assert.equal(error.stepName, 'explode');
+});
+
+test('catchError recovers from a failure in the preceding steps', async () => {
+  const { pipe, asPipe, catchError } = createAsPipes();
+  const fail = asPipe(() => {
+    throw new Error('offline');
+  });
+  const ex = asPipe((s, mark = '!') => s + mark);
+
+  const seen = [];
+  const result = pipe('hello');
+  result |
+    fail |
+    catchError((error, input) => (seen.push(error.stepIndex), `${input} fallback`)) |
+    ex('!');
+
+  assert.equal(await result.run(), 'hello fallback!');
+  assert.deepEqual(seen, [0]);
+});
+
+test('catchError handler can return a nested pipeline', async () => {
+  const { pipe, asPipe, catchError } = createAsPipes();
+  const fail = asPipe(() => {
+    throw new Error('nope');
+  });
+  const upper = asPipe((s) => s.toUpperCase());
+
+  const result = pipe('quiet');
+  result |
+    fail |
+    catchError((_, input) => {
+      const p = pipe(input);
+      p | upper;
+      return p;
+    });
+
+  assert.equal(await result.run(), 'QUIET');
+});
+
+test('arrow functions reach the run signal through the context argument', async () => {
+  const { pipe, asPipe, when, catchError, finally: lastly } = createAsPipes();
+  const controller = new AbortController();
+  const { signal } = controller;
+  const seen = [];
+
+  const append = asPipe(
+    (s, { signal: own }, suffix = '!') => (seen.push(own === signal), s + suffix),
+    { context: true },
+  );
+  const peek = asPipe(function (s) {
+    seen.push(Object.isFrozen(this) && Object.keys(this).join());
+    return s;
+  });
+  const fail = asPipe(() => {
+    throw new Error('nope');
+  });
+
+  const result = pipe('a');
+  result | append | append('?') | peek | when((s, context) => context.signal === signal, append);
+  assert.equal(await result.run({ signal }), 'a!?!');
+
+  const recovered = pipe('b');
+  recovered |
+    fail |
+    catchError((error, input, context) => (seen.push(context.signal === signal), input)) |
+    lastly((context) => seen.push(context.signal === signal));
+  assert.equal(await recovered.run({ signal }), 'b');
+
+  assert.deepEqual(seen, [true, true, 'signal', true, true, true]);
+});
+
+test('retry re-runs the preceding steps until they succeed', async () => {
+  const { pipe, asPipe, retry } = createAsPipes();
+  let attempts = 0;
+  const flaky = asPipe((x) => {
+    if (++attempts < 3) throw new Error('flaky');
+    return x * 2;
+  });
+  const inc = asPipe((x) => x + 1);
+
+  const delays = [];
+  const result = pipe(5);
+  result |
+    flaky |
+    retry({ times: 3, backoff: (attempt) => (delays.push(attempt), 1) }) |
+    inc;
+
+  assert.equal(await result.run(), 11);
+  assert.equal(attempts, 3);
+  assert.deepEqual(delays, [1, 2]);
+});
+
+test('retry gives up after the configured number of attempts', async () => {
+  const { pipe, asPipe, retry } = createAsPipes();
+  let attempts = 0;
+  const fail = asPipe(() => {
+    attempts++;
+    throw new Error('down');
+  });
+
+  const result = pipe(1);
+  result | fail | retry({ times: 2 });
+
+  await assert.rejects(result.run(), { name: 'PipeStepError', message: 'down' });
+  assert.equal(attempts, 3);
+});
+
+test('retry backoff is cut short by an aborted signal', async () => {
+  const { pipe, asPipe, retry } = createAsPipes();
+  const controller = new AbortController();
+  const fail = asPipe(() => {
+    throw new Error('down');
+  });
+
+  const result = pipe(1);
+  result | fail | retry({ times: 5, backoff: 10_000 });
+
+  setTimeout(() => controller.abort(), 5);
+  await assert.rejects(result.run({ signal: controller.signal }), {
+    name: 'AbortError',
+  });
+});
+
+test('finally runs after the preceding steps whether they fail or not', async () => {
+  const { pipe, asPipe, finally: lastly } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const fail = asPipe(() => {
+    throw new Error('broken');
+  });
+
+  const calls = [];
+  const ok = pipe(1);
+  ok | inc | lastly(() => calls.push('ok')) | inc;
+  assert.equal(await ok.run(), 3);
+
+  const failing = pipe(1);
+  failing | fail | lastly(() => calls.push('failed'));
+  await assert.rejects(failing.run(), { message: 'broken' });
+
+  assert.deepEqual(calls, ['ok', 'failed']);
+});
+
+test('instrumentation hooks fire for every step including nested pipelines', async () => {
+  const events = [];
+  const { pipe, asPipe } = createAsPipes({
+    onStepStart: (e) => events.push(['start', e.name, e.depth, e.input]),
+    onStepEnd: (e) => {
+      assert.equal(typeof e.duration, 'number');
+      events.push(['end', e.name, e.depth, e.output]);
+    },
+  });
+  const add = asPipe(function add(x, n) {
+    return x + n;
+  });
+  const double = asPipe(function double(x) {
+    const p = pipe(x);
+    return p | add(x);
+  });
+
+  const result = pipe(1);
+  result | add(1) | double;
+  assert.equal(await result.run(), 4);
+
+  assert.deepEqual(events, [
+    ['start', 'add', 0, 1],
+    ['end', 'add', 0, 2],
+    ['start', 'double', 0, 2],
+    ['start', 'add', 1, 2],
+    ['end', 'add', 1, 4],
+    ['end', 'double', 0, 4],
+  ]);
+});
+
+test('onError hook reports the failing step at each depth', async () => {
+  const failures = [];
+  const { pipe, asPipe } = createAsPipes({
+    onError: (e) => failures.push([e.name, e.depth, e.error.stepName]),
+  });
+  const fail = asPipe(function fail() {
+    throw new Error('bad');
+  });
+  const wrapped = asPipe(function wrapped(x) {
+    const p = pipe(x);
+    p | fail;
+    return p;
+  });
+
+  const result = pipe(1);
+  result | wrapped;
+  await assert.rejects(result.run(), { message: 'bad' });
+
+  assert.deepEqual(failures, [
+    ['fail', 1, 'fail'],
+    ['wrapped', 0, 'fail'],
+  ]);
+});
+
+test('run with trace returns the value and a tree of executed steps', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe(function inc(x) {
+    return x + 1;
+  });
+  const twice = asPipe(function twice(x) {
+    const p = pipe(x);
+    p | inc | inc;
+    return p;
+  });
+
+  const result = pipe(0);
+  result | inc | twice;
+  const { value, trace } = await result.run({ trace: true });
+
+  const shape = (nodes) =>
+    nodes.map(({ name, depth, input, output, children }) => ({
+      name,
+      depth,
+      input,
+      output,
+      children: shape(children),
+    }));
+
+  assert.equal(value, 3);
+  assert.deepEqual(shape(trace), [
+    { name: 'inc', depth: 0, input: 0, output: 1, children: [] },
+    {
+      name: 'twice',
+      depth: 0,
+      input: 1,
+      output: 3,
+      children: [
+        { name: 'inc', depth: 1, input: 1, output: 2, children: [] },
+        { name: 'inc', depth: 1, input: 2, output: 3, children: [] },
+      ],
+    },
+  ]);
+});
+
+test('define captures a reusable template that can be called with many inputs', async () => {
+  const { asPipe, define } = createAsPipes();
+  const upper = asPipe((s) => s.toUpperCase());
+  const ex = asPipe((s, mark = '!') => s + mark);
+
+  const shout = define();
+  shout | upper | ex('!');
+
+  assert.equal(await shout('hello'), 'HELLO!');
+  assert.deepEqual(await Promise.all(['a', 'b', 'c'].map((s) => shout(s))), [
+    'A!',
+    'B!',
+    'C!',
+  ]);
+});
+
+test('define template can be inserted into other pipelines as a single step', async () => {
+  const { pipe, asPipe, define } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+
+  const incThenTriple = define('incThenTriple');
+  incThenTriple | inc | mul(3);
+
+  const result = pipe(1);
+  result | incThenTriple | inc | incThenTriple;
+  const { value, trace } = await result.run({ trace: true });
+
+  assert.equal(value, 24); // (((1 + 1) * 3) + 1 + 1) * 3
+  assert.deepEqual(
+    trace.map((node) => [node.name, node.children.length]),
+    [
+      ['incThenTriple', 2],
+      ['anonymous', 0],
+      ['incThenTriple', 2],
+    ],
+  );
+});
+
+test('define template is composed across statements until it is used', async () => {
+  const { pipe, asPipe, define } = createAsPipes();
+  const upper = asPipe((s) => s.toUpperCase());
+  const ex = asPipe((s, mark = '!') => s + mark);
+
+  const shout = define('shout');
+  shout | upper;
+  shout | ex('!');
+  assert.equal(await shout('hi'), 'HI!');
+
+  // Once used, it is a step like any other
+  const result = pipe('hey');
+  result | shout | ex('?');
+  assert.equal(await result.run(), 'HEY!?');
+});
+
+test('define template after a step of another expression is a step of it', async () => {
+  const { pipe, asPipe, define } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+
+  const double = define();
+  double | mul(2);
+  const p = pipe(1);
+  p | inc | double;
+  const q = pipe(5);
+  q | inc | double | inc;
+
+  assert.equal(await p.run(), 4);
+  assert.equal(await q.run(), 13);
+  assert.equal(await double(3), 6);
+});
+
+test('define template rejects being used before it is composed or in itself', () => {
+  const { pipe, asPipe, define, all } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+
+  const empty = define('empty');
+  const b = pipe(1);
+  assert.throws(() => b | empty | inc, {
+    name: 'TypeError',
+    message: /template 'empty' as a step before it is composed/,
+  });
+  assert.throws(() => all(define()), /a template as a step before it is composed/);
+
+  const loop = define('loop');
+  assert.throws(() => loop | loop, {
+    name: 'TypeError',
+    message: "Cannot use template 'loop' as a step of itself",
+  });
+});
+
+test('define template passes run options through', async () => {
+  const { asPipe, define } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+
+  const plusOne = define();
+  plusOne | inc;
+
+  await assert.rejects(plusOne(1, { signal: AbortSignal.abort() }), {
+    name: 'AbortError',
+  });
+  assert.equal((await plusOne(1, { trace: true })).value, 2);
+});
+
+test('compose builds a template from a list of steps', async () => {
+  const { pipe, asPipe, compose, define } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+
+  const incThenTriple = compose(inc, mul(3));
+  assert.equal(await incThenTriple(1), 6);
+  assert.equal(incThenTriple.runSync(2), 9);
+
+  // The same steps as the equivalent define(), and usable as a single step
+  const defined = define();
+  defined | inc | mul(3);
+  const result = pipe(1);
+  result | incThenTriple | compose(defined, inc);
+  const { value, trace } = await result.run({ trace: true });
+
+  assert.equal(value, 22); // ((1 + 1) * 3 + 1) * 3 + 1
+  assert.deepEqual(
+    trace.map((node) => [node.name, node.children.map((child) => child.index)]),
+    [
+      ['compose', [0, 1]],
+      ['compose', [0, 1]],
+    ],
+  );
+});
+
+test('compose wraps the steps before catchError, retry and finally', async () => {
+  const { asPipe, compose, all, catchError, retry, finally: lastly } = createAsPipes();
+  const mul = asPipe((x, k) => x * k);
+  const fail = asPipe(() => {
+    throw new Error('down');
+  });
+
+  assert.equal(await compose(mul(2), catchError(() => 0))(3), 6);
+  assert.equal(await compose(mul(2), fail, catchError(() => 0))(3), 0);
+
+  let attempts = 0;
+  const flaky = asPipe((x) => {
+    if (++attempts < 5) throw new Error('flaky');
+    return x;
+  });
+  const calls = [];
+  const steady = compose(flaky, retry({ times: 5 }), lastly(() => calls.push('done')));
+  assert.equal(await steady('ok'), 'ok');
+  assert.equal(attempts, 5);
+  assert.deepEqual(calls, ['done']);
+
+  // On its own there are no steps for a wrapper to take
+  assert.throws(() => all(mul(2), catchError(() => 0)), {
+    name: 'TypeError',
+    message: 'catchError wraps the steps before it and cannot be a branch on its own',
+  });
+  assert.throws(() => all(retry()), TypeError);
+});
+
+test('through adds the same steps as a |-expression', async () => {
+  const events = [];
+  const { pipe, asPipe } = createAsPipes({
+    onStepEnd: ({ index, name, output }) => events.push([index, name, output]),
+  });
+  const upper = asPipe(function upper(s) {
+    return s.toUpperCase();
+  });
+  const ex = asPipe(function ex(s, mark = '!') {
+    return s + mark;
+  });
+
+  const piped = pipe('hello');
+  piped | upper | ex('!!!');
+  assert.equal(await piped.run(), 'HELLO!!!');
+  const expected = events.splice(0);
+
+  assert.equal(await pipe('hello').through(upper, ex('!!!')).run(), 'HELLO!!!');
+  assert.deepEqual(events.splice(0), expected);
+
+  // Chained calls and | keep adding to the same pipeline
+  const mixed = pipe('hello').through(upper);
+  mixed | ex('!!!');
+  assert.equal(mixed.through(ex('?')).runSync(), 'HELLO!!!?');
+});
+
+test('flow builds a template without the | operator', async () => {
+  const { pipe, asPipe, define, flow, compose } = createAsPipes();
+  const upper = asPipe((s) => s.toUpperCase());
+  const ex = asPipe((s, mark = '!') => s + mark);
+
+  const shout = flow(upper, ex('!!!'));
+  const defined = define();
+  defined | upper | ex('!!!');
+
+  assert.equal(await shout('hello'), await defined('hello'));
+  assert.equal(shout.runSync('hi'), 'HI!!!');
+  assert.equal(await pipe('hey').through(shout, ex('?')).run(), 'HEY!!!?');
+
+  const { trace } = await pipe('a').through(shout).run({ trace: true });
+  assert.equal(flow, compose);
+  assert.equal(trace[0].name, 'compose');
+  assert.deepEqual(
+    trace[0].children.map(({ index, name }) => [index, name]),
+    [
+      [0, 'anonymous'],
+      [1, 'anonymous'],
+    ],
+  );
+});
+
+test('through and flow let catchError, retry and finally wrap the steps before them', async () => {
+  const { pipe, asPipe, flow, catchError, retry, finally: lastly } = createAsPipes();
+  const ok = asPipe((x) => x + 1);
+  const boom = asPipe(() => {
+    throw new Error('boom');
+  });
+
+  const calls = [];
+  assert.equal(await pipe(1).through(ok, lastly(() => calls.push('through'))).run(), 2);
+  assert.equal(await pipe(1).through(boom, catchError(() => 'x')).run(), 'x');
+
+  // The same in both styles, and mixed
+  const piped = pipe(1);
+  piped | ok | lastly(() => calls.push('piped'));
+  assert.equal(await piped.run(), 2);
+  const mixed = pipe(1).through(boom);
+  mixed | catchError(() => 'y');
+  assert.equal(await mixed.run(), 'y');
+  assert.deepEqual(calls, ['through', 'piped']);
+
+  let attempts = 0;
+  const flaky = asPipe((x) => {
+    if (++attempts < 3) throw new Error('flaky');
+    return x;
+  });
+  const steady = flow(flaky, retry({ times: 2 }), ok);
+  assert.equal(await steady(1), 2);
+  assert.equal(attempts, 3);
+  assert.equal(await flow(boom, catchError((_, input) => input))('same'), 'same');
+});
+
+test('runSync evaluates a pure pipeline synchronously', () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+  const calc = asPipe((x) => {
+    const p = pipe(x);
+    return p | inc | mul(2);
+  });
+
+  const result = pipe(3);
+  result | inc | mul(10) | calc;
+  assert.equal(result.runSync(), 82);
+});
+
+test('runSync throws a clear error when a step returns a thenable', () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const later = asPipe(async function later(x) {
+    return x;
+  });
+
+  const result = pipe(1);
+  result | inc | later;
+  assert.throws(() => result.runSync(), {
+    name: 'PipeStepError',
+    stepIndex: 1,
+    stepName: 'later',
+    message: /thenable in a synchronous run/,
+  });
+});
+
+test('runSync supports error handling, tracing and templates', () => {
+  const { pipe, asPipe, define, catchError, finally: lastly } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const fail = asPipe(() => {
+    throw new Error('nope');
+  });
+
+  const plusTwo = define('plusTwo');
+  plusTwo | inc | inc;
+  assert.equal(plusTwo.runSync(1), 3);
+
+  let cleaned = false;
+  const result = pipe(1);
+  result |
+    plusTwo |
+    fail |
+    catchError((_, input) => input) |
+    lastly(() => (cleaned = true));
+
+  const { value, trace } = result.runSync({ trace: true });
+  assert.equal(value, 1);
+  assert.equal(cleaned, true);
+  assert.deepEqual(trace.map((node) => node.name), ['finally']);
+});
+
+test('sync environment makes run() and templates evaluate synchronously', () => {
+  const { pipe, asPipe, define } = createAsPipes({ sync: true });
+  const inc = asPipe((x) => x + 1);
+
+  const result = pipe(1);
+  result | inc | inc;
+  assert.equal(result.run(), 3);
+
+  const plusOne = define();
+  plusOne | inc;
+  assert.equal(plusOne(41), 42);
+});
+
+test('pipelines composed with interleaved awaits stay isolated', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+  const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const build = async (x, ms) => {
+    const p = pipe(x);
+    p | inc;
+    await tick(ms);
+    p | mul(10);
+    await tick(0);
+    p | inc;
+    return p;
+  };
+
+  const [a, b] = await Promise.all([build(1, 5), build(2, 1)]);
+  assert.equal(await a.run(), 21);
+  assert.equal(await b.run(), 31);
+});
+
+test('a pipeable evaluated after an await inside an expression throws', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+
+  const a = pipe(1);
+  const composing = (async () => a | inc | (await Promise.resolve(inc)))();
+  const b = pipe(10);
+  b | inc;
+
+  await assert.rejects(composing, {
+    message: /Pipeable used outside of a pipe expression/,
+  });
+  assert.equal(await a.run(), 2);
+  assert.equal(await b.run(), 11);
+});
+
+test('a pipeable coerced without a pipeline throws a descriptive error', () => {
+  const { asPipe } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+
+  assert.throws(() => 1 | inc, {
+    message: /Pipeable used outside of a pipe expression/,
+  });
+});
+
+test('an expression passed to a step call does not take the steps that follow', async () => {
+  const { pipe, asPipe, take } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+  const plus = asPipe(async (x, id) => x + (await take(id).run()));
+
+  const a = pipe(1);
+  a | inc | plus(pipe(100) | inc) | mul(2);
+
+  assert.equal(await a.run(), 206);
+});
+
+test('a pipeable after the expressions it could join were taken throws', () => {
+  const { pipe, asPipe, take } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+
+  const taken = take(pipe(1) | inc);
+
+  assert.throws(() => 1 | inc, {
+    message: /Pipeable used outside of a pipe expression/,
+  });
+  assert.equal(taken.runSync(), 2);
+});
+
+test('a numeric step result is not mistaken for an unrelated pipeline', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const same = asPipe((s) => s);
+
+  const other = pipe('OTHER');
+  const id = other | same;
+
+  const result = pipe(1);
+  result | asPipe(() => id);
+  assert.equal(await result.run(), id);
+});
+
+test('take captures exactly the pipeline built by its expression', async () => {
+  const { pipe, asPipe, take } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+
+  const outer = pipe(1);
+  outer | inc | mul(take(pipe(2) | inc) && 3) | inc;
+  const inner = take(pipe(5) | mul(2));
+
+  assert.equal(await outer.run(), 7);
+  assert.equal(await inner.run(), 10);
+  assert.equal(take(42), 42);
+});
+
+test('async steps can return a pipeline expression built after an await', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const slowDouble = asPipe(async (x) => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    return pipe(x) | inc | inc;
+  });
+
+  const result = pipe(1);
+  result | slowDouble | inc;
+  assert.equal(await result.run(), 4);
+});
+
+test('steps composed while a run is in flight are not observed by it', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const inc = asPipe(async (x) => x + 1);
+
+  const result = pipe(1);
+  result | inc;
+  const running = result.run();
+  result | inc;
+
+  assert.equal(await running, 2);
+  assert.equal(await result.run(), 3);
+});
+
+test('all feeds the value into every branch and collects their results', async () => {
+  const { pipe, asPipe, define, all } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+  const slow = asPipe(
+    (x) => new Promise((resolve) => setTimeout(() => resolve(-x), 5)),
+  );
+
+  const result = pipe(3);
+  result | inc | all(inc, mul(2), slow, define() | inc | mul(10), (x) => `${x}`);
+
+  assert.deepEqual(await result.run(), [5, 8, -4, 50, '4']);
+});
+
+test('all with named branches returns an object of results', async () => {
+  const { pipe, asPipe, all } = createAsPipes();
+  const length = asPipe((s) => s.length);
+  const upper = asPipe((s) => s.toUpperCase());
+
+  const result = pipe('agent');
+  result | all({ length, upper });
+
+  assert.deepEqual(await result.run(), { length: 5, upper: 'AGENT' });
+});
+
+test('all respects the concurrency limit', async () => {
+  const { pipe, asPipe, all } = createAsPipes();
+  let running = 0;
+  let peak = 0;
+  const work = asPipe(async (x, k) => {
+    peak = Math.max(peak, ++running);
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    running--;
+    return x * k;
+  });
+
+  const result = pipe(1);
+  result | all(work(1), work(2), work(3), work(4), { concurrency: 2 });
+
+  assert.deepEqual(await result.run(), [1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('all fails fast and aborts the branches still running', async () => {
+  const { pipe, asPipe, all } = createAsPipes();
+  let aborted = false;
+  const hang = asPipe(function hang() {
+    return new Promise((_, reject) =>
+      this.signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(this.signal.reason);
+      }),
+    );
+  });
+  const fail = asPipe(function fail() {
+    throw new Error('branch failed');
+  });
+
+  const result = pipe(1);
+  result | all(hang, fail);
+
+  await assert.rejects(result.run(), {
+    name: 'PipeStepError',
+    message: 'branch failed',
+    stepIndex: 1,
+    stepName: 'fail',
+  });
+  assert.equal(aborted, true);
+});
+
+test('race settles with the first branch to finish', async () => {
+  const { pipe, asPipe, race } = createAsPipes();
+  const after = asPipe(
+    (x, ms, tag) => new Promise((resolve) => setTimeout(() => resolve(tag), ms)),
+  );
+
+  const result = pipe(0);
+  result | race(after(20, 'slow'), after(1, 'fast'));
+
+  assert.equal(await result.run(), 'fast');
+});
+
+test('allSettled reports the outcome of every branch', async () => {
+  const { pipe, asPipe, allSettled } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const fail = asPipe(() => {
+    throw new Error('nope');
+  });
+
+  const result = pipe(1);
+  result | allSettled({ ok: inc, bad: fail });
+
+  const { ok, bad } = await result.run();
+  assert.deepEqual(ok, { status: 'fulfilled', value: 2 });
+  assert.equal(bad.status, 'rejected');
+  assert.equal(bad.reason.message, 'nope');
+});
+
+test('fan-out steps run branches one by one in runSync', () => {
+  const { pipe, asPipe, all, race } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+
+  const result = pipe(2);
+  result | all(inc, mul(3)) | race((pair) => pair[0] + pair[1]);
+  assert.equal(result.runSync(), 9);
+});
+
+test('when and unless run their branch only if the predicate says so', async () => {
+  const { pipe, asPipe, define, when, unless } = createAsPipes();
+  const inc = asPipe((x) => x + 1);
+  const mul = asPipe((x, k) => x * k);
+  const isEven = (x) => x % 2 === 0;
+
+  const run = (x) => {
+    const p = pipe(x);
+    p | when(isEven, define() | inc | mul(10)) | unless(async (x) => x > 50, mul(-1));
+    return p.run();
+  };
+
+  assert.equal(await run(2), -30);
+  assert.equal(await run(6), 70);
+  assert.equal(await run(3), -3);
+});
+
+test('match routes the value to the branch selected by its key', async () => {
+  const { pipe, asPipe, define, match } = createAsPipes();
+  const upper = asPipe((s) => s.toUpperCase());
+  const ex = asPipe((s, mark = '!') => s + mark);
+  const name = asPipe((e) => e.name);
+
+  const route = (event) => {
+    const p = pipe(event);
+    p |
+      match((e) => e.type, {
+        greet: define() | name | upper | ex('!'),
+        leave: (e) => `bye ${e.name}`,
+        default: () => 'unknown',
+      });
+    return p.run();
+  };
+
+  assert.equal(await route({ type: 'greet', name: 'ada' }), 'ADA!');
+  assert.equal(await route({ type: 'leave', name: 'ada' }), 'bye ada');
+  assert.equal(await route({ type: 'toString', name: 'ada' }), 'unknown');
+});
+
+test('match without a default passes unmatched values through', async () => {
+  const { pipe, match } = createAsPipes();
+
+  const result = pipe(5);
+  result | match((x) => (x > 10 ? 'big' : 'small'), { big: () => 'BIG' });
+  assert.equal(await result.run(), 5);
+  assert.equal(result.runSync(), 5);
+});
+
+test('asMethods calls prototype methods with the piped value as this', async () => {
+  const { pipe, asMethods } = createAsPipes();
+  const { trim, toUpperCase, split } = asMethods(String.prototype);
+  const { map, join } = asMethods(Array.prototype);
+
+  const result = pipe('  a,b,c ');
+  result | trim | toUpperCase | split(',') | map((s) => s + s) | join('-');
+  assert.equal(await result.run(), 'AA-BB-CC');
+});
+
+test('asMethods works with classes and Map instances', async () => {
+  const { pipe, asMethods } = createAsPipes();
+
+  class Counter {
+    constructor(n) {
+      this.n = n;
+    }
+    add(k) {
+      return new Counter(this.n + k);
+    }
+    value() {
+      return this.n;
+    }
+  }
+  const { add, value } = asMethods(Counter);
+  const counter = pipe(new Counter(1));
+  counter | add(2) | add(3) | value;
+  assert.equal(await counter.run(), 6);
+
+  const { get } = asMethods(new Map());
+  const lookup = pipe(new Map([['answer', 42]]));
+  lookup | get('answer');
+  assert.equal(await lookup.run(), 42);
+});
+
+test('asPipe with a prototype behaves like asMethods', async () => {
+  const { pipe, asPipe } = createAsPipes();
+  const { toUpperCase } = asPipe(String.prototype);
+  const { filter, slice } = asPipe(Array.prototype);
+
+  const text = pipe('shout');
+  text | toUpperCase;
+  assert.equal(await text.run(), 'SHOUT');
+
+  const list = pipe([1, 2, 3, 4, 5]);
+  list | filter((x) => x % 2) | slice(1);
+  assert.deepEqual(await list.run(), [3, 5]);
+});
+
+test('call invokes a method of the piped value by name', async () => {
+  const { pipe, call } = createAsPipes();
+
+  const csv = pipe('x;y');
+  csv | call('split', ';') | call('join', '+');
+  assert.equal(await csv.run(), 'x+y');
+
+  const set = pipe(new Set([1, 2]));
+  set | call('has', 2);
+  assert.equal(await set.run(), true);
+
+  const fail = pipe(5);
+  fail | call('split', ',');
+  await assert.rejects(fail.run(), {
+    name: 'PipeStepError',
+    stepName: 'split',
+    message: 'split is not a method of the piped value',
+  });
+});
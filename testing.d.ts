@@ -0,0 +1,32 @@
+// Type declarations for aspipes/testing.
+
+import type { Scheduler } from './stream.js';
+
+export interface MarbleEvent<T = unknown> {
+  frame: number;
+  /** 'N' for an item, 'C' for completion, 'E' for an error. */
+  kind: 'N' | 'C' | 'E';
+  value?: T | unknown;
+}
+
+export function parseMarbles<T = string>(
+  marbles: string,
+  values?: Record<string, T>,
+  error?: unknown,
+): MarbleEvent<T>[];
+
+/** A scheduler on virtual time, advanced by the test. */
+export interface TestScheduler extends Scheduler {
+  readonly frame: number;
+  advanceBy(ms: number): Promise<void>;
+  cold<T = string>(marbles: string, values?: Record<string, T>, error?: unknown): AsyncIterable<T>;
+  record<T>(stream: AsyncIterable<T>): Promise<MarbleEvent<T>[]>;
+  expectStream<T>(
+    stream: AsyncIterable<T>,
+    marbles: string,
+    values?: Record<string, T>,
+    error?: unknown,
+  ): Promise<MarbleEvent<T>[]>;
+}
+
+export function createTestScheduler(options?: { frame?: number; maxFrames?: number }): TestScheduler;
@@ -0,0 +1,187 @@
+// Virtual time and marble diagrams for testing stream pipelines
+
+// Let pending promise callbacks and async generators settle
+const settle = () =>
+  new Promise((resolve) =>
+    typeof setImmediate === 'function' ? setImmediate(resolve) : setTimeout(resolve, 0),
+  );
+
+// Parse a marble diagram into [{ frame, kind, value }] events:
+//   -      one frame passes
+//   a      emits values.a (or the character itself), taking one frame
+//   (ab)   emits a and b in the same frame, the group taking one frame
+//   |      completes,  #  errors with `error`
+//   spaces are ignored and can be used for alignment
+export function parseMarbles(marbles, values = {}, error = new Error('error')) {
+  const events = [];
+  let frame = 0;
+  let group = false;
+
+  for (const char of marbles) {
+    if (char === ' ') continue;
+    if (char === '(') {
+      group = true;
+      continue;
+    }
+    if (char === ')') {
+      group = false;
+      frame++;
+      continue;
+    }
+    if (char === '|') events.push({ frame, kind: 'C' });
+    else if (char === '#') events.push({ frame, kind: 'E', value: error });
+    else if (char !== '-')
+      events.push({ frame, kind: 'N', value: char in values ? values[char] : char });
+    if (!group) frame++;
+  }
+  return events;
+}
+
+const same = (a, b) =>
+  Object.is(a, b) ||
+  (typeof a === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+// Render events as a marble diagram, mapping values back to their keys
+function formatMarbles(events, values = {}) {
+  const symbol = ({ kind, value }) => {
+    if (kind === 'C') return '|';
+    if (kind === 'E') return '#';
+    const key = Object.keys(values).find((k) => same(values[k], value));
+    if (key !== undefined) return key;
+    return typeof value === 'string' && value.length === 1
+      ? value
+      : `[${JSON.stringify(value)}]`;
+  };
+
+  let out = '';
+  for (let frame = 0, i = 0; i < events.length; frame++) {
+    const here = [];
+    while (i < events.length && events[i].frame === frame) here.push(events[i++]);
+    if (!here.length) out += '-';
+    else if (here.length === 1) out += symbol(here[0]);
+    else out += `(${here.map(symbol).join('')})`;
+  }
+  return out;
+}
+
+// A scheduler on virtual time, with the shape createStreamPipes expects.
+// Time only moves when the test advances it, one `frame` (ms) per marble.
+export function createTestScheduler({ frame = 1, maxFrames = 1000 } = {}) {
+  let now = 0;
+  let lastId = 0;
+  const timers = new Map();
+
+  const nextTimer = () => {
+    let next = null;
+    for (const [id, timer] of timers)
+      if (!next || timer.at < next[1].at) next = [id, timer];
+    return next;
+  };
+
+  const scheduler = {
+    frame,
+    now: () => now,
+
+    setTimeout(fn, ms = 0) {
+      timers.set(++lastId, { fn, at: now + Math.max(0, ms) });
+      return lastId;
+    },
+
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+
+    // Move time forward by ms, firing due timers in order and letting the
+    // pipeline settle after each one
+    async advanceBy(ms) {
+      const target = now + ms;
+      await settle();
+      for (let next = nextTimer(); next && next[1].at <= target; next = nextTimer()) {
+        timers.delete(next[0]);
+        now = next[1].at;
+        next[1].fn();
+        await settle();
+      }
+      now = target;
+    },
+
+    // A cold source: every iteration replays the diagram from the moment
+    // it starts, emitting on virtual time
+    cold(marbles, values, error) {
+      const events = parseMarbles(marbles, values, error);
+      return {
+        async *[Symbol.asyncIterator]() {
+          const start = now;
+          for (const event of events) {
+            const at = start + event.frame * frame;
+            if (at > now)
+              await new Promise((resolve) => scheduler.setTimeout(resolve, at - now));
+            if (event.kind === 'C') return;
+            if (event.kind === 'E') throw event.value;
+            yield event.value;
+          }
+          // Without a completion marker the source never ends
+          await new Promise(() => {});
+        },
+      };
+    },
+
+    // Consume a stream on virtual time and return what it emitted, as
+    // marble events relative to the start. Stops once the stream ends, when
+    // nothing is left to wait for, or after maxFrames.
+    async record(stream) {
+      const start = now;
+      const events = [];
+      const at = () => Math.round((now - start) / frame);
+      const it = stream[Symbol.asyncIterator]();
+      let finished = false;
+
+      const consuming = (async () => {
+        try {
+          while (true) {
+            const { value, done } = await it.next();
+            if (done) return events.push({ frame: at(), kind: 'C' });
+            events.push({ frame: at(), kind: 'N', value });
+          }
+        } catch (error) {
+          events.push({ frame: at(), kind: 'E', value: error });
+        } finally {
+          finished = true;
+        }
+      })();
+
+      await settle();
+      while (!finished && timers.size && now - start < maxFrames * frame) {
+        const next = nextTimer()[1].at;
+        await scheduler.advanceBy(Math.max(next - now, 0));
+      }
+      if (!finished) it.return?.().catch(() => {});
+      else await consuming;
+      return events;
+    },
+
+    // Record a stream and throw if it does not match the expected diagram
+    async expectStream(stream, marbles, values, error) {
+      const actual = await scheduler.record(stream);
+      const expected = parseMarbles(marbles, values, error);
+      const matches =
+        actual.length === expected.length &&
+        actual.every(
+          (e, i) =>
+            e.frame === expected[i].frame &&
+            e.kind === expected[i].kind &&
+            (e.kind !== 'N' || same(e.value, expected[i].value)) &&
+            (e.kind !== 'E' || error === undefined || e.value?.message === error.message),
+        );
+      if (!matches)
+        throw new Error(
+          `Stream did not match the marble diagram\n` +
+            `  expected: ${formatMarbles(expected, values)}\n` +
+            `  received: ${formatMarbles(actual, values)}`,
+        );
+      return actual;
+    },
+  };
+
+  return scheduler;
+}
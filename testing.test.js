@@ -0,0 +1,75 @@
+import { createAsPipes } from './index.js';
+import { createStreamPipes } from './stream.js';
+import { createTestScheduler, parseMarbles } from './testing.js';
+import { strict as assert } from 'node:assert';
+import { test } from 'node:test';
+
+test('parseMarbles reads frames, groups, completion and errors', () => {
+  const error = new Error('boom');
+
+  assert.deepEqual(parseMarbles('-a-(bc)-|'), [
+    { frame: 1, kind: 'N', value: 'a' },
+    { frame: 3, kind: 'N', value: 'b' },
+    { frame: 3, kind: 'N', value: 'c' },
+    { frame: 5, kind: 'C' },
+  ]);
+  assert.deepEqual(parseMarbles('a b #', { a: 1, b: 2 }, error), [
+    { frame: 0, kind: 'N', value: 1 },
+    { frame: 1, kind: 'N', value: 2 },
+    { frame: 2, kind: 'E', value: error },
+  ]);
+});
+
+test('cold sources replay their diagram on virtual time', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const source = scheduler.cold('-a--b-|', { a: 1, b: 2 });
+
+  await scheduler.expectStream(source, '-a--b-|', { a: 1, b: 2 });
+  assert.equal(scheduler.now(), 60);
+
+  // A second iteration starts over from the current time
+  await scheduler.expectStream(source, '-a--b-|', { a: 1, b: 2 });
+  assert.equal(scheduler.now(), 120);
+});
+
+test('expectStream reports both diagrams on a mismatch', async () => {
+  const scheduler = createTestScheduler();
+
+  await assert.rejects(
+    scheduler.expectStream(scheduler.cold('a-b|'), 'a--b|'),
+    { message: /expected: a--b\|\n {2}received: a-b\|/ },
+  );
+});
+
+test('expectStream matches errors by message', async () => {
+  const scheduler = createTestScheduler();
+  const source = scheduler.cold('a#', {}, new Error('boom'));
+
+  await scheduler.expectStream(source, 'a#', {}, new Error('boom'));
+  await assert.rejects(scheduler.expectStream(source, 'a#', {}, new Error('other')));
+});
+
+test('record stops when nothing is left to wait for', async () => {
+  const scheduler = createTestScheduler();
+
+  // No completion marker: the source never ends
+  const events = await scheduler.record(scheduler.cold('ab'));
+
+  assert.deepEqual(events, [
+    { frame: 0, kind: 'N', value: 'a' },
+    { frame: 1, kind: 'N', value: 'b' },
+  ]);
+});
+
+test('pipelines run on the test scheduler', async () => {
+  const scheduler = createTestScheduler({ frame: 10 });
+  const { pipe, asPipe } = createAsPipes();
+  const { map, debounceTime } = createStreamPipes(asPipe, { scheduler });
+
+  let result;
+  (result = pipe(scheduler.cold('a-b-c----d|', { a: 1, b: 2, c: 3, d: 4 }))) |
+    map((x) => x * 10) |
+    debounceTime(30);
+
+  await scheduler.expectStream(await result.run(), '-------x--(y|)', { x: 30, y: 40 });
+});
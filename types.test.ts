@@ -0,0 +1,116 @@
+// Type tests, checked with `npm run test:types`. Nothing here runs.
+
+import { createAsPipes, type Pipeline, type Step, type StepOutput, type Template } from './index.js';
+import { collect, createStreamPipes, eventStream, range, type Stream } from './stream.js';
+import { createNodePipes } from './node.js';
+import { createTestScheduler } from './testing.js';
+import { Readable, Writable } from 'node:stream';
+
+// Fails to compile unless the value has exactly type T
+type Equals<A, B> = (<X>() => X extends A ? 1 : 2) extends <X>() => X extends B ? 1 : 2 ? true : false;
+declare function expectType<T>(): <V>(value: V) => Equals<T, V>;
+const is = <T>(check: T): T => check;
+
+const { pipe, asPipe, compose, flow, define, all, when, catchError } = createAsPipes();
+
+// asPipe infers the input, the arguments and the awaited output
+const multiply = asPipe((x: number, k: number) => x * k);
+const fetchName = asPipe(async (id: number) => `user ${id}`);
+const shout = asPipe((s: string, suffix: string = '!') => s.toUpperCase() + suffix);
+
+is<true>(expectType<Step<number, number>>()(multiply(2)));
+is<true>(expectType<Step<number, string>>()(fetchName()));
+is<true>(expectType<string>()(null as unknown as StepOutput<typeof shout>));
+// @ts-expect-error multiply takes a number argument
+multiply('2');
+
+// With context: true the run context is the argument after the piped value
+const scaled = asPipe((x: number, { signal }, k: number) => (signal?.aborted ? 0 : x * k), { context: true });
+is<true>(expectType<Step<number, number>>()(scaled(2)));
+
+// Objects become objects of pipeables
+const math = asPipe({ add: (x: number, y: number) => x + y, sqrt: Math.sqrt });
+is<true>(expectType<Step<number, number>>()(math.add(1)));
+
+// pipe() carries the type of its value
+const head = pipe(42);
+is<true>(expectType<Pipeline<number>>()(head));
+is<true>(expectType<Promise<string>>()(head.run<string>()));
+
+// compose checks that each step accepts what the previous one produces
+const greet = compose(fetchName, shout('?'));
+is<true>(expectType<Template<number, string>>()(greet));
+is<true>(expectType<Promise<string>>()(greet(1)));
+// @ts-expect-error shout returns a string, multiply needs a number
+compose(shout, multiply(2));
+// @ts-expect-error the template takes a number
+greet('1');
+
+// through() and flow() check their steps the same way
+const upper = asPipe((s: string) => s.toUpperCase());
+is<true>(expectType<Pipeline<number, string>>()(pipe(1).through(fetchName, upper)));
+is<true>(expectType<Promise<string>>()(pipe(1).through(fetchName).through(shout('?')).run()));
+is<true>(expectType<Template<string, string>>()(flow(upper, shout('!!!'))));
+// @ts-expect-error the pipeline holds a string
+pipe('1').through(multiply(2));
+// @ts-expect-error shout returns a string, multiply needs a number
+flow(shout, multiply(2));
+
+// Templates and define() are steps too
+const twice = compose(greet, asPipe((s: string) => [s, s] as const));
+is<true>(expectType<Template<number, readonly [string, string]>>()(twice));
+const defined = define<number, string>('defined');
+is<true>(expectType<Template<number, number>>()(compose(defined, asPipe((s: string) => s.length))));
+
+// Fan-out and branching keep the branch types
+const both = all(multiply(2), fetchName);
+is<true>(expectType<Step<number, [number, string]>>()(both));
+const keyed = all({ double: multiply(2), name: fetchName });
+is<true>(expectType<Step<number, { double: number; name: string }>>()(keyed));
+is<true>(expectType<Step<number, number | string>>()(when((x: number) => x > 1, fetchName)));
+// A wrapper takes the steps before it, whatever they produce
+is<true>(expectType<Template<number, any>>()(compose(multiply(2), catchError(() => 0))));
+
+// Stream operators infer their item types through compose
+const { map, filter, take, reduce, bufferCount, zip, flatMap, parseCSV, sse, deltaContent, share } =
+  createStreamPipes(asPipe);
+
+const evens = compose(
+  filter((x: number) => x % 2 === 0),
+  map((x) => `${x}`),
+  take(3),
+);
+is<true>(expectType<Template<Iterable<number> | AsyncIterable<number> | ReadableStream<number>, Stream<string>>>()(evens));
+
+const total = compose(
+  map((x: number) => x * 2),
+  reduce((sum: number, x: number) => sum + x, 0),
+);
+is<true>(expectType<Promise<number>>()(total([1, 2, 3])));
+
+// @ts-expect-error the items are strings, not numbers
+compose(map((x: number) => `${x}`), map((x: number) => x + 1));
+
+const pairs = compose(bufferCount<number>(2), zip(eventStream(['a', 'b'])));
+is<true>(expectType<Promise<Stream<[number[], string]>>>()(pairs(range(4))));
+
+const flattened = compose(flatMap((n: number) => eventStream([n, `${n}`])));
+is<true>(expectType<Promise<Stream<number | string>>>()(flattened([1])));
+
+const rows = compose(parseCSV({ header: ['name', 'age'] }));
+is<true>(expectType<Promise<Stream<Record<'name' | 'age', string>>>>()(rows(['a,1'])));
+
+const chat = compose(sse, deltaContent, share());
+is<true>(expectType<Promise<AsyncIterable<string>>>()(chat(new Response(''))));
+
+is<true>(expectType<Promise<number[]>>()(collect(range(3))));
+
+// Node streams and the test scheduler
+const { toNodeReadable, pipeTo } = createNodePipes(asPipe);
+is<true>(expectType<Promise<Readable>>()(compose(map((x: number) => x), toNodeReadable)([1])));
+declare const file: Writable;
+is<true>(expectType<Promise<Writable>>()(compose(pipeTo(file))([])));
+
+const scheduler = createTestScheduler({ frame: 10 });
+createStreamPipes(asPipe, { scheduler });
+is<true>(expectType<AsyncIterable<number>>()(scheduler.cold('a|', { a: 1 })));